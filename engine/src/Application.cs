@@ -140,6 +140,26 @@ public static class Application
             return false;
 
         Time.Update();
+        return UpdateFrame();
+    }
+
+    /// <summary>
+    /// Runs a frame with a delta measured by the caller's own loop instead of the
+    /// internal stopwatch. deltaTime may already be scaled (Time.TimeScale applies on top).
+    /// With render false the game still updates but no GPU frame is begun or submitted,
+    /// for hosts that can't present (a hidden browser tab).
+    /// </summary>
+    public static bool RunFrame(float deltaTime, float unscaledDeltaTime, bool render = true)
+    {
+        if (!_running)
+            return false;
+
+        Time.Update(deltaTime, unscaledDeltaTime);
+        return UpdateFrame(render);
+    }
+
+    private static bool UpdateFrame(bool render = true)
+    {
         Input.BeginFrame();
 
         if (!Platform.PollEvents())
@@ -154,7 +174,9 @@ public static class Application
         PreFrame = null;
         preFrame?.Invoke();
 
-        if (!Graphics.BeginFrame())
+        if (!render)
+            Graphics.BeginSimulationFrame();
+        else if (!Graphics.BeginFrame())
             return _running;
 
         var beginFrame = BeginFrame;
@@ -168,7 +190,11 @@ public static class Application
         _instance.LateUpdate();
         VfxSystem.Update();
         Cursor.Update();
-        Graphics.EndFrame();
+
+        if (render)
+            Graphics.EndFrame();
+        else
+            Graphics.DiscardFrame();
 
         return _running;
     }
@@ -46,6 +46,21 @@ public static class Time
             UnscaledDeltaTime = 0.1f;
 
         DeltaTime = UnscaledDeltaTime * _timeScale;
+        AdvanceFrame();
+    }
+
+    // Frame timed by an external loop (the browser's requestAnimationFrame) that
+    // measures and clamps the delta itself; TimeScale still applies on top
+    internal static void Update(float deltaTime, float unscaledDeltaTime)
+    {
+        _lastFrameTicks = Stopwatch.GetTimestamp();
+        UnscaledDeltaTime = unscaledDeltaTime;
+        DeltaTime = deltaTime * _timeScale;
+        AdvanceFrame();
+    }
+
+    private static void AdvanceFrame()
+    {
         TotalTime += DeltaTime;
         FrameCount++;
 
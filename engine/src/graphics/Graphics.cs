@@ -238,6 +238,33 @@ public static unsafe partial class Graphics
         _batchStateDirty = true;
     }
 
+    // Frame that updates the game without touching the driver, e.g. in a hidden
+    // browser tab where nothing can be presented. Draws are still accepted and
+    // then dropped by DiscardFrame.
+    internal static void BeginSimulationFrame()
+    {
+        ResetState();
+
+        if (WhiteTexture == null)
+            WhiteTexture = Texture.Create(1, 1, [255, 255, 255, 255], name: "White");
+
+        _time += Time.DeltaTime;
+    }
+
+    internal static void DiscardFrame()
+    {
+        _commands.Clear();
+        _vertices.Clear();
+        _indices.Clear();
+        _batches.Clear();
+        _batchStates.Clear();
+        _globalsSnapshots.Clear();
+        _uniformSnapshots.Clear();
+        _currentUniforms.Clear();
+        _batchStateDirty = true;
+        _currentBatchState = 0;
+    }
+
     internal static void EndFrame()
     {
         ExecuteCommands();
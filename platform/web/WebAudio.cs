@@ -2,6 +2,8 @@
 //  NoZ - Copyright(c) 2026 NoZ Games, LLC
 //
 
+using System.Numerics;
+using System.Runtime.InteropServices;
 using Microsoft.JSInterop;
 using NoZ.Platform;
 
@@ -10,8 +12,15 @@ namespace noz;
 public class WebAudio : IAudioDriver
 {
     private readonly IJSRuntime _js;
-    private IJSObjectReference? _module;
+    private IJSInProcessObjectReference? _module;
+    private DotNetObjectReference<WebAudio>? _dotNetRef;
     private int _nextSoundId = 1;
+    private int _nextEffectId = 1;
+    private int _nextAnalyserId = 1;
+    private int _nextStreamId = 1;
+
+    // Handles round-trip through JS numbers, so keep them within double precision
+    private const long MaxHandleId = 1L << 53;
 
     private float _masterVolume = 1f;
     private float _soundVolume = 1f;
@@ -27,6 +36,12 @@ public class WebAudio : IAudioDriver
         }
     }
 
+    public void SetMasterVolume(float volume, float rampSeconds, AudioRamp curve = AudioRamp.Linear)
+    {
+        _masterVolume = Math.Clamp(volume, 0f, 1f);
+        _module?.InvokeVoidAsync("setMasterVolume", _masterVolume, rampSeconds, RampToString(curve));
+    }
+
     public float SoundVolume
     {
         get => _soundVolume;
@@ -37,6 +52,12 @@ public class WebAudio : IAudioDriver
         }
     }
 
+    public void SetSoundVolume(float volume, float rampSeconds, AudioRamp curve = AudioRamp.Linear)
+    {
+        _soundVolume = Math.Clamp(volume, 0f, 1f);
+        _module?.InvokeVoidAsync("setSoundVolume", _soundVolume, rampSeconds, RampToString(curve));
+    }
+
     public float MusicVolume
     {
         get => _musicVolume;
@@ -47,6 +68,12 @@ public class WebAudio : IAudioDriver
         }
     }
 
+    public void SetMusicVolume(float volume, float rampSeconds, AudioRamp curve = AudioRamp.Linear)
+    {
+        _musicVolume = Math.Clamp(volume, 0f, 1f);
+        _module?.InvokeVoidAsync("setMusicVolume", _musicVolume, rampSeconds, RampToString(curve));
+    }
+
     public WebAudio(IJSRuntime js)
     {
         _js = js;
@@ -59,37 +86,108 @@ public class WebAudio : IAudioDriver
 
     public async Task InitAsync()
     {
-        _module = await _js.InvokeAsync<IJSObjectReference>("import", "/js/noz/noz-audio.js");
-        await _module.InvokeVoidAsync("init");
+        _dotNetRef = DotNetObjectReference.Create(this);
+        _module = await _js.InvokeAsync<IJSInProcessObjectReference>("import", "/js/noz/noz-audio.js");
+        await _module.InvokeVoidAsync("init", _dotNetRef);
+    }
+
+    /// <summary>
+    /// True once a user gesture has unlocked browser audio. Sounds created before then
+    /// are kept and the latest music request replays on unlock; other plays are dropped.
+    /// </summary>
+    public bool IsUnlocked { get; private set; }
+
+    public event Action? AudioUnlocked;
+
+    [JSInvokable]
+    public void OnAudioUnlocked()
+    {
+        IsUnlocked = true;
+        AudioUnlocked?.Invoke();
     }
 
     public void Shutdown()
     {
         _module?.InvokeVoidAsync("shutdown");
+        _dotNetRef?.Dispose();
     }
 
-    public nint CreateSound(ReadOnlySpan<byte> pcmData, int sampleRate, int channels, int bitsPerSample)
+    public nint CreateSound(ReadOnlySpan<byte> pcmData, int sampleRate, int channels, int bitsPerSample) =>
+        CreateSound(pcmData, sampleRate, channels, bitsPerSample, 0f, 0f);
+
+    /// <summary>
+    /// Create a sound whose looping instances repeat only the region from <paramref name="loopStart"/>
+    /// to <paramref name="loopEnd"/> seconds, so the part before it plays once as an attack.
+    /// A <paramref name="loopEnd"/> of zero means the end of the sound.
+    /// </summary>
+    public nint CreateSound(ReadOnlySpan<byte> pcmData, int sampleRate, int channels, int bitsPerSample, float loopStart, float loopEnd)
     {
         var soundId = _nextSoundId++;
         var data = pcmData.ToArray();
-        _module?.InvokeVoidAsync("createSound", soundId, data, sampleRate, channels, bitsPerSample);
+        _module?.InvokeVoidAsync("createSound", soundId, data, sampleRate, channels, bitsPerSample, loopStart, loopEnd);
         return soundId;
     }
 
+    public void SetSoundLoopRegion(nint sound, float loopStart, float loopEnd)
+    {
+        _module?.InvokeVoidAsync("setSoundLoopRegion", (int)sound, loopStart, loopEnd);
+    }
+
+    /// <summary>
+    /// Create a sound from a compressed asset (OGG, MP3, WAV) using the browser's decoder.
+    /// Returns the sound handle, or zero if the browser could not decode the data.
+    /// </summary>
+    public async Task<nint> CreateSoundFromEncodedAsync(byte[] data, float loopStart = 0f, float loopEnd = 0f)
+    {
+        if (_module == null) return 0;
+
+        var soundId = _nextSoundId++;
+        var decoded = await _module.InvokeAsync<bool>("createSoundFromEncoded", soundId, data, loopStart, loopEnd);
+        return decoded ? soundId : 0;
+    }
+
     public void DestroySound(nint handle)
     {
         _module?.InvokeVoidAsync("destroySound", (int)handle);
     }
 
-    public ulong Play(nint sound, float volume, float pitch, bool loop)
+    public ulong Play(nint sound, float volume, float pitch, bool loop) =>
+        Play(sound, volume, pitch, loop, 0f);
+
+    /// <summary>
+    /// Play a sound. <paramref name="startTime"/> is an absolute time on the audio clock
+    /// (see <see cref="CurrentTime"/>) for sample-accurate scheduling, zero plays now.
+    /// <paramref name="offset"/> is the position in seconds to start playing from.
+    /// <paramref name="loopStart"/> and <paramref name="loopEnd"/> override the sound's
+    /// loop region when not negative.
+    /// </summary>
+    public ulong Play(nint sound, float volume, float pitch, bool loop, float pan, string bus = "sound", int priority = 0, double startTime = 0, float offset = 0f, float loopStart = -1f, float loopEnd = -1f)
     {
         if (_module == null) return 0;
 
-        var handleId = (ulong)Random.Shared.NextInt64();
-        _module.InvokeVoidAsync("play", (int)sound, handleId, volume, pitch, loop);
+        var handleId = (ulong)Random.Shared.NextInt64(1, MaxHandleId);
+        _module.InvokeVoidAsync("play", (int)sound, handleId, volume, pitch, loop, Math.Clamp(pan, -1f, 1f), bus, priority, startTime, offset, loopStart, loopEnd);
         return handleId;
     }
 
+    /// <summary>
+    /// Turn looping off to let a sustained sound play out past its loop region
+    /// </summary>
+    public void SetLooping(ulong handle, bool loop)
+    {
+        _module?.InvokeVoidAsync("setLooping", handle, loop);
+    }
+
+    public void SetLoopRegion(ulong handle, float loopStart, float loopEnd)
+    {
+        _module?.InvokeVoidAsync("setLoopRegion", handle, loopStart, loopEnd);
+    }
+
+    /// <summary>
+    /// Current time of the audio clock in seconds
+    /// </summary>
+    public double CurrentTime => _module?.Invoke<double>("getCurrentTime") ?? 0;
+
     public void Stop(ulong handle)
     {
         _module?.InvokeVoidAsync("stop", handle);
@@ -97,37 +195,426 @@ public class WebAudio : IAudioDriver
 
     public bool IsPlaying(ulong handle)
     {
-        // Web Audio doesn't easily support sync queries, return false
-        // In practice, games track this themselves
-        return false;
+        return _module?.Invoke<bool>("isPlaying", handle) ?? false;
+    }
+
+    /// <summary>
+    /// Playback position in seconds within the sound, or -1 if the handle isn't playing
+    /// </summary>
+    public double GetPlaybackPosition(ulong handle)
+    {
+        return _module?.Invoke<double>("getPlaybackPosition", handle) ?? -1;
+    }
+
+    /// <summary>
+    /// Raised when a sound reaches its end. Sounds stopped with <see cref="Stop"/> or
+    /// stolen by voice limiting are not reported.
+    /// </summary>
+    public event Action<ulong>? SoundEnded;
+
+    [JSInvokable]
+    public void OnSoundEnded(ulong handle)
+    {
+        SoundEnded?.Invoke(handle);
+    }
+
+    /// <summary>
+    /// Pause a playing sound, keeping its position for <see cref="Resume"/>
+    /// </summary>
+    public void Pause(ulong handle)
+    {
+        _module?.InvokeVoidAsync("pause", handle);
+    }
+
+    public void Resume(ulong handle)
+    {
+        _module?.InvokeVoidAsync("resume", handle);
+    }
+
+    public bool IsPaused(ulong handle)
+    {
+        return _module?.Invoke<bool>("isPaused", handle) ?? false;
     }
 
-    public void SetVolume(ulong handle, float volume)
+    /// <summary>
+    /// Suspend all audio output until ResumeAll. The platform also suspends audio while
+    /// the tab is hidden, but showing the tab again doesn't undo a call to this.
+    /// </summary>
+    public void SuspendAll()
     {
-        _module?.InvokeVoidAsync("setVolume", handle, Math.Clamp(volume, 0f, 1f));
+        _module?.InvokeVoidAsync("suspendAll");
     }
 
-    public void SetPitch(ulong handle, float pitch)
+    public void ResumeAll()
     {
-        _module?.InvokeVoidAsync("setPitch", handle, Math.Clamp(pitch, 0.5f, 2f));
+        _module?.InvokeVoidAsync("resumeAll");
+    }
+
+    public void SetVolume(ulong handle, float volume) => SetVolume(handle, volume, 0f);
+
+    public void SetVolume(ulong handle, float volume, float rampSeconds, AudioRamp curve = AudioRamp.Linear)
+    {
+        _module?.InvokeVoidAsync("setVolume", handle, Math.Clamp(volume, 0f, 1f), rampSeconds, RampToString(curve));
+    }
+
+    public void SetPitch(ulong handle, float pitch) => SetPitch(handle, pitch, 0f);
+
+    public void SetPitch(ulong handle, float pitch, float rampSeconds, AudioRamp curve = AudioRamp.Linear)
+    {
+        _module?.InvokeVoidAsync("setPitch", handle, Math.Clamp(pitch, 0.5f, 2f), rampSeconds, RampToString(curve));
+    }
+
+    private static string RampToString(AudioRamp curve) => curve switch
+    {
+        AudioRamp.Exponential => "exponential",
+        AudioRamp.Target => "target",
+        _ => "linear"
+    };
+
+    public void SetPan(ulong handle, float pan)
+    {
+        _module?.InvokeVoidAsync("setPan", handle, Math.Clamp(pan, -1f, 1f));
+    }
+
+    // 2D positional audio: positioned instances are panned and attenuated
+    // relative to the listener by the JS side
+
+    public void SetListenerPosition(Vector2 position)
+    {
+        _module?.InvokeVoidAsync("setListenerPosition", position.X, position.Y);
+    }
+
+    public void SetPosition(ulong handle, Vector2 position)
+    {
+        _module?.InvokeVoidAsync("setPosition", handle, position.X, position.Y);
+    }
+
+    public void ClearPosition(ulong handle)
+    {
+        _module?.InvokeVoidAsync("clearPosition", handle);
+    }
+
+    public void SetAttenuation(float refDistance, float maxDistance, float rolloffFactor)
+    {
+        _module?.InvokeVoidAsync("setAttenuation", refDistance, maxDistance, rolloffFactor);
+    }
+
+    // Voice limiting: when a limit is hit a playing voice is stolen according to the
+    // steal policy and reported through SoundStolen
+
+    /// <summary>
+    /// Raised when a voice is stopped to make room for another. A sound that could not
+    /// steal a voice under the priority policy is reported with its own handle.
+    /// </summary>
+    public event Action<ulong>? SoundStolen;
+
+    public void SetSoundVoiceLimit(nint sound, int maxInstances)
+    {
+        _module?.InvokeVoidAsync("setSoundVoiceLimit", (int)sound, maxInstances);
+    }
+
+    public void SetVoiceBudget(int maxVoices)
+    {
+        _module?.InvokeVoidAsync("setVoiceBudget", maxVoices);
+    }
+
+    public void SetStealPolicy(VoiceStealPolicy policy)
+    {
+        _module?.InvokeVoidAsync("setStealPolicy", policy switch
+        {
+            VoiceStealPolicy.Quietest => "quietest",
+            VoiceStealPolicy.LowestPriority => "priority",
+            _ => "oldest"
+        });
+    }
+
+    [JSInvokable]
+    public void OnSoundStolen(ulong handle)
+    {
+        SoundStolen?.Invoke(handle);
     }
 
     public float GetVolume(ulong handle) => 1f;
     public float GetPitch(ulong handle) => 1f;
 
-    public void PlayMusic(nint sound)
+    public void PlayMusic(nint sound) => PlayMusic(sound, 0f, 0f);
+
+    /// <summary>
+    /// Play a music track, fading it in over <paramref name="fadeInSeconds"/> while the
+    /// previous track fades out over <paramref name="crossfadeSeconds"/>.
+    /// </summary>
+    public void PlayMusic(nint sound, float fadeInSeconds, float crossfadeSeconds, bool loop = true)
+    {
+        _module?.InvokeVoidAsync("playMusic", (int)sound, fadeInSeconds, crossfadeSeconds, loop);
+    }
+
+    /// <summary>
+    /// Play <paramref name="intro"/> once, then loop <paramref name="loop"/> seamlessly after it.
+    /// </summary>
+    public void PlayMusicWithIntro(nint intro, nint loop, float fadeInSeconds = 0f, float crossfadeSeconds = 0f)
+    {
+        _module?.InvokeVoidAsync("playMusicWithIntro", (int)intro, (int)loop, fadeInSeconds, crossfadeSeconds);
+    }
+
+    /// <summary>
+    /// Stream music from a URL through a media element rather than decoding the whole
+    /// track into memory. Fades, looping and <see cref="StopMusic()"/> work as with
+    /// <see cref="PlayMusic(nint, float, float, bool)"/>.
+    /// </summary>
+    public void PlayStreamedMusic(string url, float fadeInSeconds = 0f, float crossfadeSeconds = 0f, bool loop = true)
     {
-        _module?.InvokeVoidAsync("playMusic", (int)sound);
+        _module?.InvokeVoidAsync("playStreamedMusic", url, fadeInSeconds, crossfadeSeconds, loop);
     }
 
-    public void StopMusic()
+    /// <summary>
+    /// Wrap encoded audio (e.g. "audio/ogg") in an object URL for <see cref="PlayStreamedMusic"/>.
+    /// Release it with <see cref="RevokeStreamUrl"/> once it is no longer needed.
+    /// </summary>
+    public string? CreateStreamUrl(byte[] data, string mimeType)
     {
-        _module?.InvokeVoidAsync("stopMusic");
+        return _module?.Invoke<string>("createStreamUrl", data, mimeType);
+    }
+
+    public void RevokeStreamUrl(string url)
+    {
+        _module?.InvokeVoidAsync("revokeStreamUrl", url);
+    }
+
+    public void StopMusic() => StopMusic(0f);
+
+    public void StopMusic(float fadeOutSeconds)
+    {
+        _module?.InvokeVoidAsync("stopMusic", fadeOutSeconds);
+    }
+
+    /// <summary>
+    /// Add a track to the music playlist. Queued tracks play once each and the
+    /// playlist advances when a track ends.
+    /// </summary>
+    public void QueueMusic(nint sound)
+    {
+        _module?.InvokeVoidAsync("queueMusic", (int)sound);
+    }
+
+    public void ClearMusicQueue()
+    {
+        _module?.InvokeVoidAsync("clearMusicQueue");
+    }
+
+    public void SetMusicQueueLooping(bool looping)
+    {
+        _module?.InvokeVoidAsync("setMusicQueueLooping", looping);
+    }
+
+    public void SkipMusic(float crossfadeSeconds = 0f)
+    {
+        _module?.InvokeVoidAsync("skipMusic", crossfadeSeconds);
     }
 
     public bool IsMusicPlaying()
     {
-        // Sync query not practical with JS interop
-        return false;
+        return _module?.Invoke<bool>("isMusicPlaying") ?? false;
+    }
+
+    // Buses: "master", "sound" and "music" always exist, other buses are created
+    // by name and routed into a parent bus
+
+    public void CreateBus(string name, string parent = "master")
+    {
+        _module?.InvokeVoidAsync("createBus", name, parent);
+    }
+
+    public void DestroyBus(string name)
+    {
+        _module?.InvokeVoidAsync("destroyBus", name);
     }
+
+    public void SetBusVolume(string name, float volume, float rampSeconds = 0f, AudioRamp curve = AudioRamp.Linear)
+    {
+        _module?.InvokeVoidAsync("setBusVolume", name, Math.Clamp(volume, 0f, 1f), rampSeconds, RampToString(curve));
+    }
+
+    public int AddLowPassFilter(string bus, float frequency, float q = 1f) =>
+        AddBusEffect(bus, "lowpass", new { frequency, q });
+
+    public int AddHighPassFilter(string bus, float frequency, float q = 1f) =>
+        AddBusEffect(bus, "highpass", new { frequency, q });
+
+    /// <summary>
+    /// Add a convolution reverb using <paramref name="impulseResponse"/> as the impulse
+    /// response, or a generated decaying tail when no sound is given.
+    /// </summary>
+    public int AddReverb(string bus, float mix, nint impulseResponse = 0, float duration = 2f, float decay = 3f) =>
+        impulseResponse != 0
+            ? AddBusEffect(bus, "reverb", new { mix, impulseSoundId = (int)impulseResponse })
+            : AddBusEffect(bus, "reverb", new { mix, duration, decay });
+
+    public int AddCompressor(string bus, float threshold = -24f, float knee = 30f, float ratio = 12f, float attack = 0.003f, float release = 0.25f) =>
+        AddBusEffect(bus, "compressor", new { threshold, knee, ratio, attack, release });
+
+    public int AddDelay(string bus, float time, float feedback, float mix) =>
+        AddBusEffect(bus, "delay", new { time, feedback, mix });
+
+    public void RemoveBusEffect(int effect)
+    {
+        _module?.InvokeVoidAsync("removeBusEffect", effect);
+    }
+
+    public void SetBusEffectParam(int effect, string param, float value)
+    {
+        _module?.InvokeVoidAsync("setBusEffectParam", effect, param, value);
+    }
+
+    private int AddBusEffect(string bus, string type, object parameters)
+    {
+        var effectId = _nextEffectId++;
+        _module?.InvokeVoidAsync("addBusEffect", bus, effectId, type, parameters);
+        return effectId;
+    }
+
+    /// <summary>
+    /// Duck <paramref name="target"/> to <paramref name="duckVolume"/> while anything plays
+    /// on <paramref name="trigger"/>, e.g. music under dialogue.
+    /// </summary>
+    public void SetBusDucking(string target, string trigger, float duckVolume, float attackSeconds = 0.1f, float releaseSeconds = 0.5f)
+    {
+        _module?.InvokeVoidAsync("setBusDucking", target, trigger, Math.Clamp(duckVolume, 0f, 1f), attackSeconds, releaseSeconds);
+    }
+
+    public void ClearBusDucking(string target, string trigger)
+    {
+        _module?.InvokeVoidAsync("clearBusDucking", target, trigger);
+    }
+
+    // Analysis: analysers tap the output of "master", "sound", "music" or any named
+    // bus and can be read every frame for visualizers
+
+    /// <summary>
+    /// Create an analyser on a bus. <paramref name="fftSize"/> must be a power of two
+    /// from 32 to 32768; frequency data has half that many bins. Returns 0 if the bus
+    /// doesn't exist (yet) or audio isn't initialized.
+    /// </summary>
+    public int CreateAnalyser(string bus, int fftSize = 2048, float smoothing = 0.8f)
+    {
+        if (_module == null) return 0;
+
+        var analyserId = _nextAnalyserId++;
+        return _module.Invoke<bool>("createAnalyser", analyserId, bus, fftSize, smoothing) ? analyserId : 0;
+    }
+
+    public void DestroyAnalyser(int analyser)
+    {
+        _module?.InvokeVoidAsync("destroyAnalyser", analyser);
+    }
+
+    public void SetAnalyserSettings(int analyser, int fftSize, float smoothing)
+    {
+        _module?.InvokeVoidAsync("setAnalyserSettings", analyser, fftSize, smoothing);
+    }
+
+    /// <summary>
+    /// Fill <paramref name="bins"/> with frequency data scaled to 0-255. Returns the number of bins written.
+    /// </summary>
+    public int GetFrequencyData(int analyser, Span<byte> bins) =>
+        CopyAnalysis(_module?.Invoke<byte[]>("getFrequencyData", analyser), bins);
+
+    /// <summary>
+    /// Fill <paramref name="bins"/> with frequency data in decibels. Returns the number of bins written.
+    /// </summary>
+    public int GetFrequencyData(int analyser, Span<float> bins) =>
+        CopyAnalysis(_module?.Invoke<float[]>("getFloatFrequencyData", analyser), bins);
+
+    /// <summary>
+    /// Fill <paramref name="samples"/> with waveform data scaled to 0-255 (128 is silence). Returns the number of samples written.
+    /// </summary>
+    public int GetWaveformData(int analyser, Span<byte> samples) =>
+        CopyAnalysis(_module?.Invoke<byte[]>("getWaveformData", analyser), samples);
+
+    /// <summary>
+    /// Fill <paramref name="samples"/> with waveform data in [-1, 1]. Returns the number of samples written.
+    /// </summary>
+    public int GetWaveformData(int analyser, Span<float> samples) =>
+        CopyAnalysis(_module?.Invoke<float[]>("getFloatWaveformData", analyser), samples);
+
+    private static int CopyAnalysis<T>(T[]? data, Span<T> dest)
+    {
+        if (data == null) return 0;
+
+        var count = Math.Min(data.Length, dest.Length);
+        data.AsSpan(0, count).CopyTo(dest);
+        return count;
+    }
+
+    // Streams: voices that play samples generated in C# (synths, trackers, voice chat)
+    // through an AudioWorklet ring buffer that is topped up every frame
+
+    /// <summary>
+    /// Sample rate streams play at. Generate stream samples at this rate.
+    /// </summary>
+    public int SampleRate => (int)(_module?.Invoke<float>("getSampleRate") ?? 0);
+
+    /// <summary>
+    /// Raised with the stream and its total underrun count when a stream runs out of samples
+    /// </summary>
+    public event Action<int, int>? StreamUnderrun;
+
+    /// <summary>
+    /// Create a stream buffering up to <paramref name="bufferSeconds"/> of interleaved
+    /// samples. Returns zero if the browser doesn't support AudioWorklet.
+    /// </summary>
+    public async Task<int> CreateStreamAsync(int channels, float bufferSeconds = 0.25f, string bus = "sound")
+    {
+        if (_module == null) return 0;
+
+        var streamId = _nextStreamId++;
+        var created = await _module.InvokeAsync<bool>("createStream", streamId, channels, bufferSeconds, bus);
+        return created ? streamId : 0;
+    }
+
+    public void DestroyStream(int stream)
+    {
+        _module?.InvokeVoidAsync("destroyStream", stream);
+    }
+
+    /// <summary>
+    /// Queue interleaved samples for playback. Returns the number of frames accepted,
+    /// which is less than given when the buffer is full.
+    /// </summary>
+    public int WriteStream(int stream, ReadOnlySpan<float> samples)
+    {
+        return _module?.Invoke<int>("writeStream", stream, MemoryMarshal.AsBytes(samples).ToArray()) ?? 0;
+    }
+
+    /// <summary>
+    /// Number of frames buffered and not yet played
+    /// </summary>
+    public int GetStreamFill(int stream)
+    {
+        return _module?.Invoke<int>("getStreamFill", stream) ?? 0;
+    }
+
+    public void SetStreamVolume(int stream, float volume, float rampSeconds = 0f, AudioRamp curve = AudioRamp.Linear)
+    {
+        _module?.InvokeVoidAsync("setStreamVolume", stream, Math.Clamp(volume, 0f, 1f), rampSeconds, RampToString(curve));
+    }
+
+    [JSInvokable]
+    public void OnStreamUnderrun(int stream, int underruns)
+    {
+        StreamUnderrun?.Invoke(stream, underruns);
+    }
+}
+
+public enum VoiceStealPolicy
+{
+    Oldest,
+    Quietest,
+    LowestPriority
+}
+
+public enum AudioRamp
+{
+    Linear,
+    Exponential,
+    Target
 }
@@ -14,6 +14,9 @@ public static partial class WebGPUInterop
     // Module name must match the name passed to JSHost.ImportAsync() in WebGraphicsDriver
     private const string ModuleName = "noz-webgpu";
 
+    // noz-webgpu-proxy.js under its own name, to probe the worker before choosing a module
+    private const string ProxyModuleName = "noz-webgpu-proxy";
+
     // ============================================================================
     // Initialization
     // ============================================================================
@@ -21,6 +24,9 @@ public static partial class WebGPUInterop
     [JSImport("init", ModuleName)]
     internal static partial Task<JSObject> InitAsync(string canvasSelector);
 
+    [JSImport("probeWorker", ProxyModuleName)]
+    internal static partial Task<bool> ProbeWorkerAsync();
+
     [JSImport("shutdown", ModuleName)]
     internal static partial void Shutdown();
 
@@ -39,6 +39,13 @@ public class WebGraphicsDriver : IGraphicsDriver
     private int _surfaceHeight;
     private string _surfaceFormat = "";
 
+    /// <summary>
+    /// Render from a Worker through an OffscreenCanvas (noz-webgpu-proxy.js) so WebGPU
+    /// work stays off the main thread. Falls back to rendering on the main thread where
+    /// the browser can't run WebGPU in a worker.
+    /// </summary>
+    public bool RenderInWorker { get; init; }
+
     // Resource tracking (ID-based, matching JS side)
     private int _nextMeshId = 1;
     private int _nextBufferId = 1;
@@ -201,7 +208,16 @@ public class WebGraphicsDriver : IGraphicsDriver
     {
         // Import the JS module first before calling any JSImport functions
         // Use absolute path from web root (not relative, which resolves from _framework/)
-        await JSHost.ImportAsync("noz-webgpu", "/js/noz/noz-webgpu.js");
+        // The proxy has the same exports, so WebGPUInterop works unchanged against either
+        var useWorker = false;
+        if (RenderInWorker && JSHost.GlobalThis.HasProperty("OffscreenCanvas"))
+        {
+            // Probe before committing: the worker takes the canvas, and it can't be given back
+            await JSHost.ImportAsync("noz-webgpu-proxy", "/js/noz/noz-webgpu-proxy.js");
+            useWorker = await WebGPUInterop.ProbeWorkerAsync();
+        }
+
+        await JSHost.ImportAsync("noz-webgpu", useWorker ? "/js/noz/noz-webgpu-proxy.js" : "/js/noz/noz-webgpu.js");
 
         var result = await WebGPUInterop.InitAsync("#canvas");
 
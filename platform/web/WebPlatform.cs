@@ -15,11 +15,19 @@ public class WebPlatform : IPlatform
 {
     private readonly IJSRuntime _js;
     private IJSObjectReference? _module;
+    private IJSInProcessObjectReference? _gameLoop;
     private Vector2 _windowSize;
     private float _displayScale = 1.0f;
     private bool _shouldQuit;
     private DotNetObjectReference<WebPlatform>? _dotNetRef;
     private readonly Queue<PlatformEvent> _eventQueue = new();
+    private readonly Queue<TouchEvent> _touchQueue = new();
+    private readonly Dictionary<long, TouchEvent> _activeTouches = new();
+    private readonly Queue<GestureEvent> _gestureQueue = new();
+    private readonly SortedDictionary<int, WebGamepad> _gamepads = new();
+    private int _primaryGamepad = -1;
+    private Vector2 _pendingMouseDelta;
+    private readonly Queue<KeyEvent> _keyQueue = new();
     private bool _isMouseInWindow;
     private Func<bool>? _wantsToQuit;
 
@@ -32,6 +40,67 @@ public class WebPlatform : IPlatform
     public nint WindowHandle => nint.Zero; // Not applicable for web
     public event Action<PlatformEvent>? OnEvent;
 
+    /// <summary>
+    /// Raised from PollEvents for every touch that began, moved, ended or was cancelled.
+    /// </summary>
+    public event Action<TouchEvent>? OnTouch;
+
+    /// <summary>
+    /// Fingers currently down, keyed by touch id, with their latest position.
+    /// </summary>
+    public IReadOnlyDictionary<long, TouchEvent> ActiveTouches => _activeTouches;
+
+    /// <summary>
+    /// Raised from PollEvents, after touches, for each recognized gesture update.
+    /// </summary>
+    public event Action<GestureEvent>? OnGesture;
+
+    /// <summary>
+    /// Connected gamepads by browser index. The first pad with the standard mapping
+    /// also drives the engine's Gamepad* input codes, like the desktop platform.
+    /// </summary>
+    public IReadOnlyDictionary<int, WebGamepad> Gamepads => _gamepads;
+    public event Action<WebGamepad>? GamepadConnected;
+    public event Action<WebGamepad>? GamepadDisconnected;
+
+    /// <summary>
+    /// True while the canvas holds the pointer lock.
+    /// </summary>
+    public bool IsPointerLocked { get; private set; }
+
+    /// <summary>
+    /// Relative mouse motion received while pointer locked, summed since the previous
+    /// PollEvents. In CSS pixels, or raw device counts with unadjusted movement.
+    /// </summary>
+    public Vector2 MouseDelta { get; private set; }
+
+    /// <summary>
+    /// Raised from PollEvents for every key press, repeat and release, with both the
+    /// logical key and the physical code. See GetKeyLabelAsync for showing codes.
+    /// </summary>
+    public event Action<KeyEvent>? OnKey;
+
+    public event Action<bool>? PointerLockChanged;
+    public event Action<string>? PointerLockError;
+
+    // Standard mapping button index -> engine input code (triggers 6 and 7 are sent as axes)
+    private static readonly InputCode[] StandardGamepadButtons =
+    [
+        InputCode.GamepadA, InputCode.GamepadB, InputCode.GamepadX, InputCode.GamepadY,
+        InputCode.GamepadLeftShoulder, InputCode.GamepadRightShoulder,
+        InputCode.None, InputCode.None,
+        InputCode.GamepadBack, InputCode.GamepadStart,
+        InputCode.GamepadLeftStickButton, InputCode.GamepadRightStickButton,
+        InputCode.GamepadDpadUp, InputCode.GamepadDpadDown, InputCode.GamepadDpadLeft, InputCode.GamepadDpadRight,
+        InputCode.GamepadGuide
+    ];
+
+    private static readonly InputCode[] StandardGamepadAxes =
+    [
+        InputCode.GamepadLeftStickX, InputCode.GamepadLeftStickY,
+        InputCode.GamepadRightStickX, InputCode.GamepadRightStickY
+    ];
+
     public void SetWindowSize(int width, int height) { } // Not applicable for web
     public void SetWindowPosition(int x, int y) { } // Not applicable for web
     public void SetMouseCapture(bool enabled) { }
@@ -63,6 +132,7 @@ public class WebPlatform : IPlatform
         _wantsToQuit = config.WantsToQuit;
 
         _module = await _js.InvokeAsync<IJSObjectReference>("import", "/js/noz/noz-platform.js");
+        _gameLoop = await _js.InvokeAsync<IJSInProcessObjectReference>("import", "/js/noz/noz-gameloop.js");
         var result = await _module.InvokeAsync<InitResult>("init", _dotNetRef, config.Width, config.Height);
         _windowSize = new Vector2(result.Width, result.Height);
         _displayScale = result.Dpr;
@@ -88,6 +158,26 @@ public class WebPlatform : IPlatform
         while (_eventQueue.Count > 0)
             OnEvent?.Invoke(_eventQueue.Dequeue());
 
+        while (_keyQueue.Count > 0)
+            OnKey?.Invoke(_keyQueue.Dequeue());
+
+        while (_touchQueue.Count > 0)
+        {
+            var touch = _touchQueue.Dequeue();
+            if (touch.Phase is TouchPhase.Began or TouchPhase.Moved)
+                _activeTouches[touch.Id] = touch;
+            else
+                _activeTouches.Remove(touch.Id);
+
+            OnTouch?.Invoke(touch);
+        }
+
+        while (_gestureQueue.Count > 0)
+            OnGesture?.Invoke(_gestureQueue.Dequeue());
+
+        MouseDelta = _pendingMouseDelta;
+        _pendingMouseDelta = Vector2.Zero;
+
         return !_shouldQuit;
     }
 
@@ -159,6 +249,74 @@ public class WebPlatform : IPlatform
         _module?.InvokeVoidAsync(enabled ? "enableHighRefreshRate" : "disableHighRefreshRate");
     }
 
+    /// <summary>
+    /// Caps the game loop at fps ticks per second, skipping display refreshes in
+    /// between. Pass 0 to tick on every refresh.
+    /// </summary>
+    public void SetTargetFps(int fps)
+    {
+        _gameLoop?.InvokeVoid("setTargetFps", fps);
+    }
+
+    /// <summary>
+    /// Frame timing over the last few seconds of ticks, for performance overlays.
+    /// </summary>
+    public FrameStats GetFrameStats()
+    {
+        return _gameLoop?.Invoke<FrameStats>("getFrameStats") ?? FrameStats.Empty;
+    }
+
+    public void ResetFrameStats()
+    {
+        _gameLoop?.InvokeVoid("resetFrameStats");
+    }
+
+    /// <summary>
+    /// Multiplies every frame's delta time: below 1 for slow motion, above 1 to fast-forward.
+    /// Applies to Time.DeltaTime and fixed steps, combined with Time.TimeScale.
+    /// </summary>
+    public void SetTimeScale(float scale)
+    {
+        _gameLoop?.InvokeVoid("setTimeScale", scale);
+    }
+
+    /// <summary>
+    /// Stops ticking the game until cleared or stepped. Independent of the pause
+    /// applied while the tab is hidden.
+    /// </summary>
+    public bool DebugPaused
+    {
+        get => _gameLoop?.Invoke<bool>("isDebugPaused") ?? false;
+        set => _gameLoop?.InvokeVoid("setDebugPaused", value);
+    }
+
+    /// <summary>
+    /// Runs exactly count ticks of deltaTime seconds each, then stays debug paused.
+    /// With a fixed timestep, each tick also runs exactly one fixed step.
+    /// </summary>
+    public void StepFrames(int count = 1, float deltaTime = 1f / 60f)
+    {
+        _gameLoop?.InvokeVoid("stepFrames", count, deltaTime);
+    }
+
+    /// <summary>
+    /// Keeps the game ticking at hz without rendering while the tab is hidden, instead
+    /// of pausing. See WebApplication.OnBackgroundTick.
+    /// </summary>
+    public void SetBackgroundMode(bool enabled, int hz = 10)
+    {
+        _gameLoop?.InvokeVoid("setBackgroundMode", enabled, hz);
+    }
+
+    /// <summary>
+    /// Binds keys (KeyboardEvent.code names such as "F9") that toggle the debug pause
+    /// and step a single frame. Bound keys are not passed on to the game. Pass null to unbind.
+    /// </summary>
+    public void SetDebugHotkeys(string? pauseKey, string? stepKey)
+    {
+        _gameLoop?.InvokeVoid("setDebugHotkeys", pauseKey, stepKey);
+    }
+
     public void SetCursor(SystemCursor cursor)
     {
         var cursorStyle = cursor switch
@@ -175,20 +333,40 @@ public class WebPlatform : IPlatform
 
     // Called from JavaScript
 
+    // Input codes come from the physical key (code) like desktop scancodes, so WASD
+    // stays put on AZERTY or Dvorak. Synced modifiers arrive with an empty code and
+    // fall back to the logical key.
     [JSInvokable]
-    public void OnKeyDown(string key)
+    public void OnKeyDown(string key, string code, bool repeat)
     {
-        var code = KeyToInputCode(key);
-        if (code != InputCode.None)
-            _eventQueue.Enqueue(PlatformEvent.KeyDown(code));
+        _keyQueue.Enqueue(new KeyEvent(key, code, true, repeat));
+
+        var inputCode = ToInputCode(key, code);
+        if (inputCode != InputCode.None)
+            _eventQueue.Enqueue(PlatformEvent.KeyDown(inputCode));
     }
 
     [JSInvokable]
-    public void OnKeyUp(string key)
+    public void OnKeyUp(string key, string code)
     {
-        var code = KeyToInputCode(key);
-        if (code != InputCode.None)
-            _eventQueue.Enqueue(PlatformEvent.KeyUp(code));
+        _keyQueue.Enqueue(new KeyEvent(key, code, false, false));
+
+        var inputCode = ToInputCode(key, code);
+        if (inputCode != InputCode.None)
+            _eventQueue.Enqueue(PlatformEvent.KeyUp(inputCode));
+    }
+
+    /// <summary>
+    /// What the user's keyboard layout prints on a physical key (a KeyboardEvent.code
+    /// such as "KeyW"), for rebinding screens. Null when the browser can't tell; without
+    /// the Keyboard API only letters and digits resolve, as on a US layout.
+    /// </summary>
+    public async Task<string?> GetKeyLabelAsync(string code)
+    {
+        if (_module == null)
+            return null;
+
+        return await _module.InvokeAsync<string?>("getKeyLabel", code);
     }
 
     [JSInvokable]
@@ -219,12 +397,209 @@ public class WebPlatform : IPlatform
         _eventQueue.Enqueue(PlatformEvent.MouseMove(new Vector2(x, y)));
     }
 
+    [JSInvokable]
+    public void OnMouseDelta(float deltaX, float deltaY)
+    {
+        _pendingMouseDelta += new Vector2(deltaX, deltaY);
+    }
+
+    /// <summary>
+    /// Locks and hides the cursor so the mouse reports only relative motion (MouseDelta).
+    /// Browsers only grant this during a user gesture such as a click or key press.
+    /// unadjustedMovement requests raw motion without OS acceleration where supported.
+    /// </summary>
+    public void RequestPointerLock(bool unadjustedMovement = false)
+    {
+        _module?.InvokeVoidAsync("requestPointerLock", unadjustedMovement);
+    }
+
+    public void ExitPointerLock()
+    {
+        _module?.InvokeVoidAsync("exitPointerLock");
+    }
+
+    [JSInvokable]
+    public void OnPointerLockChange(bool locked)
+    {
+        IsPointerLocked = locked;
+        if (!locked)
+            _pendingMouseDelta = Vector2.Zero;
+
+        PointerLockChanged?.Invoke(locked);
+    }
+
+    [JSInvokable]
+    public void OnPointerLockError(string message)
+    {
+        PointerLockError?.Invoke(message);
+    }
+
     [JSInvokable]
     public void OnMouseWheel(float deltaX, float deltaY)
     {
         _eventQueue.Enqueue(PlatformEvent.MouseScroll(deltaX, deltaY));
     }
 
+    /// <summary>
+    /// Whether the first finger down also acts as the mouse (move and left button),
+    /// for UI that only handles the mouse. On by default.
+    /// </summary>
+    public void SetTouchMouseEmulation(bool enabled)
+    {
+        _module?.InvokeVoidAsync("setTouchMouseEmulation", enabled);
+    }
+
+    [JSInvokable]
+    public void OnTouchBegin(long id, float x, float y, float pressure)
+    {
+        _touchQueue.Enqueue(new TouchEvent(TouchPhase.Began, id, new Vector2(x, y), pressure));
+    }
+
+    [JSInvokable]
+    public void OnTouchMove(long id, float x, float y, float pressure)
+    {
+        _touchQueue.Enqueue(new TouchEvent(TouchPhase.Moved, id, new Vector2(x, y), pressure));
+    }
+
+    [JSInvokable]
+    public void OnTouchEnd(long id, float x, float y, float pressure)
+    {
+        _touchQueue.Enqueue(new TouchEvent(TouchPhase.Ended, id, new Vector2(x, y), pressure));
+    }
+
+    [JSInvokable]
+    public void OnTouchCancel(long id, float x, float y, float pressure)
+    {
+        _touchQueue.Enqueue(new TouchEvent(TouchPhase.Cancelled, id, new Vector2(x, y), pressure));
+    }
+
+    /// <summary>
+    /// Sets the radial stick dead zone and the dead zone for analog buttons such as
+    /// triggers, both 0-1 (defaults 0.15 and 0.05).
+    /// </summary>
+    public void SetGamepadDeadZones(float stick, float button)
+    {
+        _module?.InvokeVoidAsync("setGamepadDeadZones", stick, button);
+    }
+
+    /// <summary>
+    /// Rumbles a pad's low (strong) and high (weak) frequency motors, 0-1, where the
+    /// browser supports it. See WebGamepad.HasRumble.
+    /// </summary>
+    public void RumbleGamepad(int index, float strong, float weak, float seconds)
+    {
+        _module?.InvokeVoidAsync("rumbleGamepad", index, strong, weak, seconds * 1000f);
+    }
+
+    public void StopGamepadRumble(int index)
+    {
+        _module?.InvokeVoidAsync("stopGamepadRumble", index);
+    }
+
+    [JSInvokable]
+    public void OnGamepadConnected(int index, string id, string mapping, int buttonCount, int axisCount, bool hasRumble)
+    {
+        var pad = new WebGamepad(index, id, mapping == "standard", buttonCount, axisCount, hasRumble);
+        _gamepads[index] = pad;
+
+        if (_primaryGamepad == -1 && pad.IsStandard)
+            _primaryGamepad = index;
+
+        GamepadConnected?.Invoke(pad);
+    }
+
+    [JSInvokable]
+    public void OnGamepadDisconnected(int index)
+    {
+        if (!_gamepads.TryGetValue(index, out var pad))
+            return;
+
+        // Release everything the pad was holding so nothing sticks down
+        for (var i = 0; i < pad.Buttons.Length; i++)
+            if (pad.Buttons[i] || pad.ButtonValues[i] != 0)
+                OnGamepadButton(index, i, false, 0);
+        for (var i = 0; i < pad.Axes.Length; i++)
+            if (pad.Axes[i] != 0)
+                OnGamepadAxis(index, i, 0);
+
+        _gamepads.Remove(index);
+        if (index == _primaryGamepad)
+            _primaryGamepad = _gamepads.Values.FirstOrDefault(p => p.IsStandard)?.Index ?? -1;
+
+        GamepadDisconnected?.Invoke(pad);
+    }
+
+    [JSInvokable]
+    public void OnGamepadButton(int index, int button, bool pressed, float value)
+    {
+        if (!_gamepads.TryGetValue(index, out var pad) || button >= pad.Buttons.Length)
+            return;
+
+        pad.Buttons[button] = pressed;
+        pad.ButtonValues[button] = value;
+
+        if (index != _primaryGamepad)
+            return;
+
+        if (button is 6 or 7)
+        {
+            var trigger = button == 6 ? InputCode.GamepadLeftTrigger : InputCode.GamepadRightTrigger;
+            _eventQueue.Enqueue(PlatformEvent.GamepadAxisMove(trigger, value));
+        }
+        else if (button < StandardGamepadButtons.Length && StandardGamepadButtons[button] != InputCode.None)
+        {
+            var code = StandardGamepadButtons[button];
+            _eventQueue.Enqueue(pressed ? PlatformEvent.GamepadDown(code) : PlatformEvent.GamepadUp(code));
+        }
+    }
+
+    [JSInvokable]
+    public void OnGamepadAxis(int index, int axis, float value)
+    {
+        if (!_gamepads.TryGetValue(index, out var pad) || axis >= pad.Axes.Length)
+            return;
+
+        pad.Axes[axis] = value;
+
+        if (index == _primaryGamepad && axis < StandardGamepadAxes.Length)
+            _eventQueue.Enqueue(PlatformEvent.GamepadAxisMove(StandardGamepadAxes[axis], value));
+    }
+
+    public void SetGestureOptions(GestureOptions options)
+    {
+        _module?.InvokeVoidAsync("setGestureOptions", options);
+    }
+
+    [JSInvokable]
+    public void OnPinch(float scale, float centerX, float centerY)
+    {
+        _gestureQueue.Enqueue(new GestureEvent { Type = GestureType.Pinch, Position = new Vector2(centerX, centerY), Scale = scale });
+    }
+
+    [JSInvokable]
+    public void OnTwoFingerPan(float deltaX, float deltaY, float centerX, float centerY)
+    {
+        _gestureQueue.Enqueue(new GestureEvent { Type = GestureType.Pan, Position = new Vector2(centerX, centerY), Delta = new Vector2(deltaX, deltaY) });
+    }
+
+    [JSInvokable]
+    public void OnRotate(float radians, float centerX, float centerY)
+    {
+        _gestureQueue.Enqueue(new GestureEvent { Type = GestureType.Rotate, Position = new Vector2(centerX, centerY), Rotation = radians });
+    }
+
+    [JSInvokable]
+    public void OnLongPress(float x, float y)
+    {
+        _gestureQueue.Enqueue(new GestureEvent { Type = GestureType.LongPress, Position = new Vector2(x, y) });
+    }
+
+    [JSInvokable]
+    public void OnSwipe(float deltaX, float deltaY, float velocity, float startX, float startY)
+    {
+        _gestureQueue.Enqueue(new GestureEvent { Type = GestureType.Swipe, Position = new Vector2(startX, startY), Delta = new Vector2(deltaX, deltaY), Velocity = velocity });
+    }
+
     [JSInvokable]
     public void OnMouseEnter()
     {
@@ -244,6 +619,108 @@ public class WebPlatform : IPlatform
         _eventQueue.Enqueue(PlatformEvent.Resize(width, height));
     }
 
+    private static InputCode ToInputCode(string key, string code)
+    {
+        var inputCode = CodeToInputCode(code);
+        return inputCode != InputCode.None ? inputCode : KeyToInputCode(key);
+    }
+
+    private static InputCode CodeToInputCode(string code)
+    {
+        return code switch
+        {
+            "KeyA" => InputCode.KeyA,
+            "KeyB" => InputCode.KeyB,
+            "KeyC" => InputCode.KeyC,
+            "KeyD" => InputCode.KeyD,
+            "KeyE" => InputCode.KeyE,
+            "KeyF" => InputCode.KeyF,
+            "KeyG" => InputCode.KeyG,
+            "KeyH" => InputCode.KeyH,
+            "KeyI" => InputCode.KeyI,
+            "KeyJ" => InputCode.KeyJ,
+            "KeyK" => InputCode.KeyK,
+            "KeyL" => InputCode.KeyL,
+            "KeyM" => InputCode.KeyM,
+            "KeyN" => InputCode.KeyN,
+            "KeyO" => InputCode.KeyO,
+            "KeyP" => InputCode.KeyP,
+            "KeyQ" => InputCode.KeyQ,
+            "KeyR" => InputCode.KeyR,
+            "KeyS" => InputCode.KeyS,
+            "KeyT" => InputCode.KeyT,
+            "KeyU" => InputCode.KeyU,
+            "KeyV" => InputCode.KeyV,
+            "KeyW" => InputCode.KeyW,
+            "KeyX" => InputCode.KeyX,
+            "KeyY" => InputCode.KeyY,
+            "KeyZ" => InputCode.KeyZ,
+
+            "Digit1" => InputCode.Key1,
+            "Digit2" => InputCode.Key2,
+            "Digit3" => InputCode.Key3,
+            "Digit4" => InputCode.Key4,
+            "Digit5" => InputCode.Key5,
+            "Digit6" => InputCode.Key6,
+            "Digit7" => InputCode.Key7,
+            "Digit8" => InputCode.Key8,
+            "Digit9" => InputCode.Key9,
+            "Digit0" => InputCode.Key0,
+
+            "Enter" => InputCode.KeyEnter,
+            "NumpadEnter" => InputCode.KeyEnter,
+            "Escape" => InputCode.KeyEscape,
+            "Backspace" => InputCode.KeyBackspace,
+            "Tab" => InputCode.KeyTab,
+            "Space" => InputCode.KeySpace,
+
+            "Minus" => InputCode.KeyMinus,
+            "Equal" => InputCode.KeyEquals,
+            "BracketLeft" => InputCode.KeyLeftBracket,
+            "BracketRight" => InputCode.KeyRightBracket,
+            "Semicolon" => InputCode.KeySemicolon,
+            "Quote" => InputCode.KeyQuote,
+            "Backquote" => InputCode.KeyTilde,
+            "Comma" => InputCode.KeyComma,
+            "Period" => InputCode.KeyPeriod,
+
+            "F1" => InputCode.KeyF1,
+            "F2" => InputCode.KeyF2,
+            "F3" => InputCode.KeyF3,
+            "F4" => InputCode.KeyF4,
+            "F5" => InputCode.KeyF5,
+            "F6" => InputCode.KeyF6,
+            "F7" => InputCode.KeyF7,
+            "F8" => InputCode.KeyF8,
+            "F9" => InputCode.KeyF9,
+            "F10" => InputCode.KeyF10,
+            "F11" => InputCode.KeyF11,
+            "F12" => InputCode.KeyF12,
+
+            "ArrowRight" => InputCode.KeyRight,
+            "ArrowLeft" => InputCode.KeyLeft,
+            "ArrowDown" => InputCode.KeyDown,
+            "ArrowUp" => InputCode.KeyUp,
+            "Delete" => InputCode.KeyDelete,
+            "Insert" => InputCode.KeyInsert,
+            "Home" => InputCode.KeyHome,
+            "End" => InputCode.KeyEnd,
+            "PageUp" => InputCode.KeyPageUp,
+            "PageDown" => InputCode.KeyPageDown,
+
+            "ShiftLeft" => InputCode.KeyLeftShift,
+            "ShiftRight" => InputCode.KeyRightShift,
+            "ControlLeft" => InputCode.KeyLeftCtrl,
+            "ControlRight" => InputCode.KeyRightCtrl,
+            "AltLeft" => InputCode.KeyLeftAlt,
+            "AltRight" => InputCode.KeyRightAlt,
+            "MetaLeft" => InputCode.KeyLeftSuper,
+            "MetaRight" => InputCode.KeyRightSuper,
+
+            _ => InputCode.None
+        };
+    }
+
     private static InputCode KeyToInputCode(string key)
     {
         return key.ToLowerInvariant() switch
@@ -369,3 +846,130 @@ public class WebPlatform : IPlatform
         _module?.InvokeVoidAsync("openURL", url);
     }
 }
+
+/// <summary>
+/// Frame timing statistics from the game loop. Histogram[i] counts frames no longer
+/// than HistogramBucketsMs[i] (and longer than the previous bucket); the final
+/// entry counts frames longer than every bucket.
+/// </summary>
+public record FrameStats(
+    float AverageMs,
+    float AverageFps,
+    float OnePercentLowFps,
+    float MaxMs,
+    int[] Histogram,
+    float[] HistogramBucketsMs)
+{
+    public static readonly FrameStats Empty = new(0, 0, 0, 0, [], []);
+}
+
+public enum TouchPhase
+{
+    Began,
+    Moved,
+    Ended,
+    Cancelled
+}
+
+/// <summary>
+/// A touch point in device pixels, like mouse positions. Pressure is 0-1, or 0 where
+/// the hardware doesn't report force.
+/// </summary>
+public readonly record struct TouchEvent(TouchPhase Phase, long Id, Vector2 Position, float Pressure);
+
+public enum GestureType
+{
+    Pinch,
+    Pan,
+    Rotate,
+    LongPress,
+    Swipe
+}
+
+/// <summary>
+/// A recognized gesture, in device pixels. Pinch, Pan and Rotate report the change
+/// since their previous event: multiply zoom by Scale, offset by Delta, add Rotation
+/// (radians, clockwise). Position is the center between the fingers for those, the
+/// press point for LongPress and the start point for Swipe.
+/// </summary>
+public readonly struct GestureEvent
+{
+    public GestureType Type { get; init; }
+    public Vector2 Position { get; init; }
+    public Vector2 Delta { get; init; }
+    public float Scale { get; init; }
+    public float Rotation { get; init; }
+
+    /// <summary>Swipe speed in device pixels per second.</summary>
+    public float Velocity { get; init; }
+
+    public GestureEvent()
+    {
+        Scale = 1f;
+    }
+}
+
+/// <summary>
+/// Gesture recognizer thresholds. Distances are CSS pixels; unset values keep their defaults.
+/// </summary>
+public class GestureOptions
+{
+    /// <summary>Fractional change in finger distance before a pinch starts (default 0.05).</summary>
+    public float? PinchThreshold { get; set; }
+
+    /// <summary>Movement of the two-finger center before a pan starts (default 10).</summary>
+    public float? PanThreshold { get; set; }
+
+    /// <summary>Radians of twist before a rotate starts (default 0.15).</summary>
+    public float? RotateThreshold { get; set; }
+
+    /// <summary>Hold time in milliseconds for a long press (default 500).</summary>
+    public float? LongPressMs { get; set; }
+
+    /// <summary>Movement that cancels a long press (default 10).</summary>
+    public float? LongPressSlop { get; set; }
+
+    /// <summary>Shortest distance that counts as a swipe (default 50).</summary>
+    public float? SwipeMinDistance { get; set; }
+
+    /// <summary>Longest duration in milliseconds that counts as a swipe (default 300).</summary>
+    public float? SwipeMaxMs { get; set; }
+
+    /// <summary>Scale change per wheel unit for trackpad ctrl+wheel pinch (default 0.01).</summary>
+    public float? WheelPinchSpeed { get; set; }
+}
+
+/// <summary>
+/// Live state of a connected gamepad. With the standard mapping, buttons follow the
+/// W3C layout (0 A/Cross, 1 B/Circle, 2 X/Square, 3 Y/Triangle, 4-5 shoulders,
+/// 6-7 triggers, 8 back, 9 start, 10-11 stick buttons, 12-15 dpad, 16 guide) and
+/// axes are left X/Y then right X/Y, with +Y down. Values are after dead zones.
+/// </summary>
+public class WebGamepad
+{
+    public int Index { get; }
+    public string Id { get; }
+    public bool IsStandard { get; }
+    public bool HasRumble { get; }
+    public bool[] Buttons { get; }
+    public float[] ButtonValues { get; }
+    public float[] Axes { get; }
+
+    internal WebGamepad(int index, string id, bool isStandard, int buttonCount, int axisCount, bool hasRumble)
+    {
+        Index = index;
+        Id = id;
+        IsStandard = isStandard;
+        HasRumble = hasRumble;
+        Buttons = new bool[buttonCount];
+        ButtonValues = new float[buttonCount];
+        Axes = new float[axisCount];
+    }
+}
+
+/// <summary>
+/// A keyboard event. Key is the logical key the layout produced (KeyboardEvent.key,
+/// e.g. "a", "A" or "q"); Code is the physical key (KeyboardEvent.code, e.g. "KeyA"),
+/// empty for modifier state resyncs. Repeat is set for auto-repeat presses.
+/// </summary>
+public readonly record struct KeyEvent(string Key, string Code, bool Down, bool Repeat);
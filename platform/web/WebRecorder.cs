@@ -0,0 +1,60 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using Microsoft.JSInterop;
+
+namespace noz;
+
+/// <summary>
+/// Records gameplay clips of the canvas and the audio master output to WebM
+/// </summary>
+public class WebRecorder
+{
+    private readonly IJSRuntime _js;
+    private IJSObjectReference? _module;
+
+    public bool IsRecording { get; private set; }
+
+    public WebRecorder(IJSRuntime js)
+    {
+        _js = js;
+    }
+
+    public async Task InitAsync()
+    {
+        _module = await _js.InvokeAsync<IJSObjectReference>("import", "/js/noz/noz-recorder.js");
+    }
+
+    /// <summary>
+    /// Start recording. Returns false if the browser can't record the canvas to WebM.
+    /// </summary>
+    public async Task<bool> StartAsync(int videoBitrate = 8_000_000, int frameRate = 60, int audioBitrate = 128_000)
+    {
+        if (_module == null || IsRecording) return false;
+
+        IsRecording = await _module.InvokeAsync<bool>("startRecording", videoBitrate, frameRate, audioBitrate);
+        return IsRecording;
+    }
+
+    /// <summary>
+    /// Stop recording and keep the clip for <see cref="Download"/>. Returns the clip size in bytes.
+    /// </summary>
+    public async Task<long> StopAsync()
+    {
+        if (_module == null || !IsRecording) return 0;
+
+        IsRecording = false;
+        return await _module.InvokeAsync<long>("stopRecording");
+    }
+
+    public void Download(string fileName = "clip.webm")
+    {
+        _module?.InvokeVoidAsync("downloadRecording", fileName);
+    }
+
+    public void Discard()
+    {
+        _module?.InvokeVoidAsync("discardRecording");
+    }
+}
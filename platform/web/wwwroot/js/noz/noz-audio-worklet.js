@@ -0,0 +1,116 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+// AudioWorklet side of noz-audio streams. Plays interleaved float samples from a
+// single-producer/single-consumer ring buffer filled by the main thread.
+//
+// Ring state is an Int32Array: [readIndex, writeIndex] in frames. The reader owns
+// readIndex and the writer owns writeIndex, so no locks are needed. With
+// SharedArrayBuffer (cross-origin isolated pages) the main thread writes the ring
+// directly; otherwise it posts sample chunks and the ring lives here, and the
+// status reports carry the total frames read so the main thread can tell how many
+// of its posted frames are still buffered.
+
+const READ_INDEX = 0;
+const WRITE_INDEX = 1;
+
+// Report status every this many render quanta (~21ms at 48kHz)
+const STATUS_INTERVAL = 8;
+
+class NozStreamProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const { channels, capacity, state, data } = options.processorOptions;
+        this.channels = channels;
+        this.capacity = capacity;
+        this.shared = state !== null;
+        this.state = state ? new Int32Array(state) : new Int32Array(2);
+        this.data = data ? new Float32Array(data) : new Float32Array(capacity * channels);
+        this.started = false;
+        this.stopped = false;
+        this.starved = false;
+        this.underruns = 0;
+        this.quantum = 0;
+        this.framesRead = 0;
+
+        this.port.onmessage = e => {
+            if (e.data.type === 'write') {
+                this.write(e.data.samples);
+            } else if (e.data.type === 'stop') {
+                this.stopped = true;
+            }
+        };
+    }
+
+    // Only used without SharedArrayBuffer. The main thread never posts more than
+    // fits, but drop any excess rather than overwrite unplayed frames.
+    write(samples) {
+        const read = this.state[READ_INDEX];
+        let write = this.state[WRITE_INDEX];
+        const free = this.capacity - 1 - ((write - read + this.capacity) % this.capacity);
+        const frames = Math.min(free, Math.floor(samples.length / this.channels));
+
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < this.channels; c++) {
+                this.data[write * this.channels + c] = samples[i * this.channels + c];
+            }
+            write = (write + 1) % this.capacity;
+        }
+
+        this.state[WRITE_INDEX] = write;
+    }
+
+    process(inputs, outputs) {
+        if (this.stopped) return false;
+
+        const output = outputs[0];
+        const frames = output[0].length;
+        const channels = Math.min(this.channels, output.length);
+
+        let read = Atomics.load(this.state, READ_INDEX);
+        const write = Atomics.load(this.state, WRITE_INDEX);
+        const available = (write - read + this.capacity) % this.capacity;
+        const count = Math.min(frames, available);
+
+        for (let i = 0; i < count; i++) {
+            for (let c = 0; c < channels; c++) {
+                output[c][i] = this.data[read * this.channels + c];
+            }
+            read = (read + 1) % this.capacity;
+        }
+
+        for (let c = 0; c < output.length; c++) {
+            output[c].fill(0, c < channels ? count : 0);
+        }
+
+        Atomics.store(this.state, READ_INDEX, read);
+        this.framesRead += count;
+
+        // Running dry before the first samples arrive isn't an underrun
+        if (count > 0) {
+            this.started = true;
+        } else if (!this.started) {
+            return true;
+        }
+
+        // One stall spans many render quanta; count it once, when the ring runs dry,
+        // and report it right away. Everything else goes out on the interval.
+        const starved = count < frames;
+        const newUnderrun = starved && !this.starved;
+        this.starved = starved;
+        if (newUnderrun) {
+            this.underruns++;
+        }
+
+        if (newUnderrun || ++this.quantum >= STATUS_INTERVAL) {
+            this.quantum = 0;
+            this.port.postMessage({ type: 'status', read: this.framesRead, underruns: this.underruns, underrun: newUnderrun });
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('noz-stream', NozStreamProcessor);
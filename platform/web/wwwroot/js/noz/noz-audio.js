@@ -3,32 +3,89 @@
 //
 
 let audioContext = null;
+let dotNetRef = null;
+let suspended = false;       // suspendAll() from C#
+let hiddenSuspended = false; // Tab hidden; kept apart so showing it can't undo suspendAll()
+let unlocked = false;
 let masterGain = null;
 let soundGain = null;
 let musicGain = null;
 
 const sounds = new Map();
 const playingInstances = new Map();
-let musicSource = null;
-let currentMusicId = null;
 
-export function init() {
+// Default loop regions in seconds per sound: { start, end }, where an end of zero
+// means the end of the buffer
+const soundLoopRegions = new Map();
+
+// Requests made before the context is unlocked by a user gesture. Sounds created
+// before the context exists are kept as { create, cancel } and created on unlock;
+// the latest music request replays on unlock. One-shot play() calls are dropped.
+const pendingSounds = new Map();
+let pendingMusic = null;
+
+// Buses: { name, parent, input, gain, duckGain, effects, voices }. Audio flows
+// input -> effects -> gain -> duckGain -> parent input. "master", "sound" and
+// "music" always exist; masterGain/soundGain/musicGain are their gain nodes.
+const buses = new Map();
+const busEffects = new Map();
+const duckings = [];
+
+// Analysers tap a bus output for visualizers: { node, bus, bytes, floats }
+const analysers = new Map();
+
+// Streams play samples generated in C# through an AudioWorklet (noz-audio-worklet.js):
+// { node, gainNode, channels, capacity, state, data, fill, underruns }
+const streams = new Map();
+let workletReady = null;
+
+// Taps the master bus output for noz-recorder.js
+let recordingDestination = null;
+
+// Voice limiting: per-sound instance caps and a global budget. When a cap is hit
+// a voice is stolen according to stealPolicy ("oldest", "quietest" or "priority").
+const soundVoiceLimits = new Map();
+let voiceBudget = Infinity;
+let stealPolicy = 'oldest';
+
+// Music tracks: { soundId, sources, gainNode, stopped }. The last source is the
+// one that loops, so an intro source can play once ahead of the loop body.
+// Streamed tracks have an element and mediaSource instead of sources.
+let currentMusic = null;
+const musicQueue = [];
+let musicQueueLooping = false;
+
+// 2D positional audio
+let listenerX = 0;
+let listenerY = 0;
+let refDistance = 1;
+let maxDistance = 10000;
+let rolloffFactor = 1;
+
+export function init(dotNet = null) {
+    dotNetRef = dotNet;
+
     // Create audio context on first user interaction
     const resumeContext = () => {
         if (!audioContext) {
             audioContext = new AudioContext();
+            audioContext.addEventListener('statechange', onContextStateChange);
 
-            masterGain = audioContext.createGain();
-            masterGain.connect(audioContext.destination);
+            masterGain = createBusNodes('master', null).gain;
+            soundGain = createBusNodes('sound', 'master').gain;
+            musicGain = createBusNodes('music', 'master').gain;
 
-            soundGain = audioContext.createGain();
-            soundGain.connect(masterGain);
+            for (const pending of pendingSounds.values()) {
+                pending.create();
+            }
+            pendingSounds.clear();
 
-            musicGain = audioContext.createGain();
-            musicGain.connect(masterGain);
+            // Browsers that don't require a gesture start the context running
+            onContextStateChange();
         }
 
-        if (audioContext.state === 'suspended') {
+        // Don't undo an explicit suspendAll()
+        if (audioContext.state === 'suspended' && !isSuspended()) {
             audioContext.resume();
         }
     };
@@ -47,66 +104,214 @@ export function init() {
 
 export function shutdown() {
     if (audioContext) {
+        audioContext.removeEventListener('statechange', onContextStateChange);
         audioContext.close();
         audioContext = null;
     }
+    unlocked = false;
+
+    // Settle decodes still waiting for a context so their callers don't wait forever
+    for (const pending of pendingSounds.values()) {
+        pending.cancel?.();
+    }
+    pendingSounds.clear();
+    pendingMusic = null;
     sounds.clear();
+    soundLoopRegions.clear();
     playingInstances.clear();
+    buses.clear();
+    busEffects.clear();
+    duckings.length = 0;
+    analysers.clear();
+    streams.clear();
+    workletReady = null;
+    recordingDestination = null;
+    currentMusic = null;
+    musicQueue.length = 0;
 }
 
-export function createSound(soundId, pcmData, sampleRate, channels, bitsPerSample) {
-    if (!audioContext) return;
+// The first time the context runs, replay buffered music and tell C# audio is unlocked
+function onContextStateChange() {
+    if (unlocked || !audioContext || audioContext.state !== 'running') return;
+
+    unlocked = true;
+
+    if (pendingMusic) {
+        const playPending = pendingMusic;
+        pendingMusic = null;
+        playPending();
+    } else if (!currentMusic) {
+        advanceMusicQueue(0, 0);
+    }
+
+    if (dotNetRef) {
+        dotNetRef.invokeMethod('OnAudioUnlocked');
+    }
+}
+
+export function isUnlocked() {
+    return unlocked;
+}
+
+export function createSound(soundId, pcmData, sampleRate, channels, bitsPerSample, loopStart = 0, loopEnd = 0) {
+    setSoundLoopRegion(soundId, loopStart, loopEnd);
+
+    if (!audioContext) {
+        pendingSounds.set(soundId, { create: () => createSound(soundId, pcmData, sampleRate, channels, bitsPerSample, loopStart, loopEnd) });
+        return;
+    }
+
+    const audioBuffer = decodePcm(pcmData, sampleRate, channels, bitsPerSample);
+    if (audioBuffer) {
+        sounds.set(soundId, audioBuffer);
+    }
+}
+
+// Looping instances of the sound repeat only [loopStart, loopEnd), so anything
+// before loopStart plays once as an attack segment. Zero for both loops the whole sound.
+export function setSoundLoopRegion(soundId, loopStart, loopEnd) {
+    if (loopStart > 0 || loopEnd > 0) {
+        soundLoopRegions.set(soundId, { start: loopStart, end: loopEnd });
+    } else {
+        soundLoopRegions.delete(soundId);
+    }
+}
+
+// Sample readers for little-endian PCM, each returning a float in [-1, 1]
+const pcmReaders = {
+    8: (view, offset) => (view.getUint8(offset) - 128) / 128.0,
+    16: (view, offset) => view.getInt16(offset, true) / 32768.0,
+    24: (view, offset) => (view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16)) / 8388608.0,
+    32: (view, offset) => view.getFloat32(offset, true)
+};
+
+// Convert interleaved PCM data to a (possibly multichannel) AudioBuffer
+function decodePcm(pcmData, sampleRate, channels, bitsPerSample) {
+    const readSample = pcmReaders[bitsPerSample];
+    if (!readSample) {
+        console.error(`[Audio] Unsupported PCM bit depth: ${bitsPerSample}`);
+        return null;
+    }
+
+    if (channels < 1 || channels > 8) {
+        console.error(`[Audio] Unsupported PCM channel count: ${channels}`);
+        return null;
+    }
 
-    // Convert PCM data to AudioBuffer
     const bytesPerSample = bitsPerSample / 8;
-    const numSamples = pcmData.length / bytesPerSample;
-    const audioBuffer = audioContext.createBuffer(1, numSamples, sampleRate);
-    const channelData = audioBuffer.getChannelData(0);
+    const frameSize = bytesPerSample * channels;
+    const numFrames = Math.floor(pcmData.length / frameSize);
+    if (numFrames === 0) return null;
 
-    if (bitsPerSample === 16) {
-        // Convert 16-bit signed PCM to float
-        for (let i = 0; i < numSamples; i++) {
-            const offset = i * 2;
-            const sample = (pcmData[offset] | (pcmData[offset + 1] << 8));
-            // Sign extend
-            const signed = sample > 32767 ? sample - 65536 : sample;
-            channelData[i] = signed / 32768.0;
-        }
-    } else if (bitsPerSample === 8) {
-        // Convert 8-bit unsigned PCM to float
-        for (let i = 0; i < numSamples; i++) {
-            channelData[i] = (pcmData[i] - 128) / 128.0;
+    const audioBuffer = audioContext.createBuffer(channels, numFrames, sampleRate);
+    const view = new DataView(pcmData.buffer, pcmData.byteOffset, pcmData.byteLength);
+
+    // Deinterleave: frame i of channel c starts at i * frameSize + c * bytesPerSample
+    for (let c = 0; c < channels; c++) {
+        const channelData = audioBuffer.getChannelData(c);
+        let offset = c * bytesPerSample;
+        for (let i = 0; i < numFrames; i++, offset += frameSize) {
+            channelData[i] = readSample(view, offset);
         }
     }
 
-    sounds.set(soundId, audioBuffer);
+    return audioBuffer;
+}
+
+// Decode a compressed asset (OGG, MP3, WAV, ...) with the browser's decoder.
+// Resolves to true once the sound is in the sounds map, false if decoding failed.
+export async function createSoundFromEncoded(soundId, bytes, loopStart = 0, loopEnd = 0) {
+    setSoundLoopRegion(soundId, loopStart, loopEnd);
+
+    // Without a context there is nothing to decode with, so resolve once it exists
+    if (!audioContext) {
+        return new Promise(resolve => {
+            pendingSounds.set(soundId, {
+                create: () => createSoundFromEncoded(soundId, bytes, loopStart, loopEnd).then(resolve),
+                cancel: () => resolve(false)
+            });
+        });
+    }
+
+    try {
+        // decodeAudioData detaches the buffer it is given, so hand it a copy
+        const audioBuffer = await audioContext.decodeAudioData(bytes.slice().buffer);
+        sounds.set(soundId, audioBuffer);
+        return true;
+    } catch (e) {
+        console.error(`[Audio] Failed to decode sound ${soundId}:`, e);
+        return false;
+    }
 }
 
 export function destroySound(soundId) {
     sounds.delete(soundId);
+    soundLoopRegions.delete(soundId);
+    pendingSounds.get(soundId)?.cancel?.();
+    pendingSounds.delete(soundId);
 }
 
-export function play(soundId, handleId, volume, pitch, loop) {
-    if (!audioContext || !sounds.has(soundId)) return;
+// startTime is an absolute audio clock time (see getCurrentTime); zero or a time in
+// the past starts immediately. offset is the position in seconds to start from.
+// loopStart/loopEnd override the sound's loop region; negative keeps the sound's own.
+export function play(soundId, handleId, volume, pitch, loop, pan = 0, busName = 'sound', priority = 0, startTime = 0, offset = 0, loopStart = -1, loopEnd = -1) {
+    // A suspended context would hold these and play them all at once on unlock
+    if (!unlocked || !sounds.has(soundId)) return;
 
-    const buffer = sounds.get(soundId);
-    const source = audioContext.createBufferSource();
-    source.buffer = buffer;
-    source.loop = loop;
-    source.playbackRate.value = pitch;
+    if (!makeRoomForVoice(soundId, handleId, priority)) return;
 
     const gainNode = audioContext.createGain();
     gainNode.gain.value = volume;
 
-    source.connect(gainNode);
-    gainNode.connect(soundGain);
+    const pannerNode = audioContext.createStereoPanner();
+    pannerNode.pan.value = clampPan(pan);
+
+    const bus = buses.get(busName) ?? buses.get('sound');
+
+    gainNode.connect(pannerNode);
+    pannerNode.connect(bus.input);
+
+    startTime = Math.max(startTime, audioContext.currentTime);
+
+    const region = soundLoopRegions.get(soundId);
+    loopStart = loopStart >= 0 ? loopStart : region?.start ?? 0;
+    loopEnd = loopEnd >= 0 ? loopEnd : region?.end ?? 0;
+
+    // attenuation stays at 1 until the instance is given a position, and pan is kept
+    // to restore when the position is cleared. The playhead
+    // anchors the playback position so it can be tracked across pitch changes and pauses.
+    const instance = {
+        soundId, buffer: sounds.get(soundId), loop, loopStart, loopEnd, source: null, gainNode, pannerNode, bus, volume, priority,
+        startTime, pan: clampPan(pan), attenuation: 1, position: null, paused: false,
+        playhead: { time: startTime, offset, rate: pitch }
+    };
+    playingInstances.set(handleId, instance);
+    addBusVoices(bus, 1);
 
-    source.start();
+    startInstanceSource(handleId, instance, startTime, offset);
+}
 
-    playingInstances.set(handleId, { source, gainNode });
+// Buffer sources are one-shot, so play() and resume() each start a new one into the
+// instance's gain node
+function startInstanceSource(handleId, instance, startTime, offset) {
+    const source = audioContext.createBufferSource();
+    source.buffer = instance.buffer;
+    source.loop = instance.loop;
+    source.loopStart = instance.loopStart;
+    source.loopEnd = instance.loopEnd;
+    source.playbackRate.value = instance.playhead.rate;
+    source.connect(instance.gainNode);
+    source.start(startTime, offset);
+    instance.source = source;
 
     source.onended = () => {
-        playingInstances.delete(handleId);
+        // A paused instance's old source ends without ending the instance
+        if (instance.source !== source || instance.paused) return;
+
+        // Stopped and stolen instances are already released, so this only reports natural ends
+        if (releaseInstance(handleId, instance) && dotNetRef) {
+            dotNetRef.invokeMethod('OnSoundEnded', handleId);
+        }
     };
 }
 
@@ -118,64 +323,1224 @@ export function stop(handleId) {
         } catch (e) {
             // Already stopped
         }
-        playingInstances.delete(handleId);
+        releaseInstance(handleId, instance);
+    }
+}
+
+// Returns false if the instance was already released
+function releaseInstance(handleId, instance) {
+    // stop() releases immediately and onended fires later, so only release once
+    if (playingInstances.get(handleId) !== instance) return false;
+
+    playingInstances.delete(handleId);
+
+    // Paused instances gave up their bus voice when they paused
+    if (!instance.paused) {
+        addBusVoices(instance.bus, -1);
     }
+    return true;
 }
 
-export function setVolume(handleId, volume) {
+// Pause an instance, keeping its playback position for resume()
+export function pause(handleId) {
+    const instance = playingInstances.get(handleId);
+    if (!instance || instance.paused) return;
+
+    instance.playhead = { time: audioContext.currentTime, offset: getPlaybackPosition(handleId), rate: instance.playhead.rate };
+    instance.paused = true;
+    addBusVoices(instance.bus, -1);
+
+    try {
+        instance.source.stop();
+    } catch (e) {
+        // Already stopped
+    }
+}
+
+export function resume(handleId) {
+    const instance = playingInstances.get(handleId);
+    if (!instance || !instance.paused) return;
+
+    const now = audioContext.currentTime;
+    instance.paused = false;
+    instance.playhead.time = now;
+    addBusVoices(instance.bus, 1);
+
+    startInstanceSource(handleId, instance, now, instance.playhead.offset);
+}
+
+// Scheduled instances count as playing from the moment play() is called
+export function isPlaying(handleId) {
+    const instance = playingInstances.get(handleId);
+    return instance !== undefined && !instance.paused;
+}
+
+export function isPaused(handleId) {
+    const instance = playingInstances.get(handleId);
+    return instance !== undefined && instance.paused;
+}
+
+// Playback position in seconds within the sound, or -1 if the handle isn't playing.
+// Approximate while a pitch ramp is in progress.
+export function getPlaybackPosition(handleId) {
+    const instance = playingInstances.get(handleId);
+    if (!instance) return -1;
+
+    const duration = instance.buffer.duration;
+    const position = getPlayheadPosition(instance);
+    if (!instance.loop) return Math.min(position, duration);
+
+    // Once past the loop end, playback wraps back to the loop start
+    const loopEnd = instance.loopEnd > 0 ? Math.min(instance.loopEnd, duration) : duration;
+    const loopStart = Math.min(instance.loopStart, loopEnd);
+    if (position < loopEnd || loopEnd <= loopStart) return Math.min(position, duration);
+    return loopStart + (position - loopStart) % (loopEnd - loopStart);
+}
+
+function getPlayheadPosition(instance) {
+    const playhead = instance.playhead;
+    if (instance.paused) return playhead.offset;
+
+    const elapsed = Math.max(0, audioContext.currentTime - playhead.time);
+    return playhead.offset + elapsed * playhead.rate;
+}
+
+export function setVolume(handleId, volume, rampSeconds = 0, curve = 'linear') {
+    const instance = playingInstances.get(handleId);
+    if (instance) {
+        instance.volume = volume;
+        rampParam(instance.gainNode.gain, volume * instance.attenuation, rampSeconds, curve);
+    }
+}
+
+export function setPitch(handleId, pitch, rampSeconds = 0, curve = 'linear') {
+    const instance = playingInstances.get(handleId);
+    if (instance) {
+        rampParam(instance.source.playbackRate, pitch, rampSeconds, curve);
+
+        // Re-anchor the playhead so the position stays continuous at the new rate
+        reanchorPlayhead(handleId, instance);
+        instance.playhead.rate = pitch;
+    }
+}
+
+// Restart playhead tracking from the current position, before a change to the
+// rate or loop settings that position is derived from
+function reanchorPlayhead(handleId, instance) {
+    const now = audioContext.currentTime;
+    if (now > instance.playhead.time) {
+        instance.playhead = { time: now, offset: getPlaybackPosition(handleId), rate: instance.playhead.rate };
+    }
+}
+
+// Turning looping off lets a sustained sound play out past its loop region, e.g.
+// into the release tail of a charging sound
+export function setLooping(handleId, loop) {
+    const instance = playingInstances.get(handleId);
+    if (instance) {
+        reanchorPlayhead(handleId, instance);
+        instance.loop = loop;
+        instance.source.loop = loop;
+    }
+}
+
+export function setLoopRegion(handleId, loopStart, loopEnd) {
+    const instance = playingInstances.get(handleId);
+    if (instance) {
+        reanchorPlayhead(handleId, instance);
+        instance.loopStart = loopStart;
+        instance.loopEnd = loopEnd;
+        instance.source.loopStart = loopStart;
+        instance.source.loopEnd = loopEnd;
+    }
+}
+
+export function setPan(handleId, pan) {
     const instance = playingInstances.get(handleId);
     if (instance) {
-        instance.gainNode.gain.value = volume;
+        instance.pan = clampPan(pan);
+        instance.pannerNode.pan.value = instance.pan;
+    }
+}
+
+// Current time of the audio clock in seconds, for scheduling play() start times
+export function getCurrentTime() {
+    return audioContext ? audioContext.currentTime : 0;
+}
+
+const MIN_EXPONENTIAL_VALUE = 0.0001;
+
+// Move an AudioParam to value over rampSeconds. curve is "linear", "exponential" or
+// "target" (setTargetAtTime, which gets within 5% of the value after rampSeconds).
+function rampParam(param, value, rampSeconds, curve = 'linear') {
+    const now = audioContext.currentTime;
+    const current = param.value;
+    param.cancelScheduledValues(now);
+
+    if (rampSeconds <= 0) {
+        param.setValueAtTime(value, now);
+        return;
     }
+
+    switch (curve) {
+        case 'exponential':
+            // Exponential ramps can't start or end at zero, so ramp to near-silence and snap
+            param.setValueAtTime(Math.max(current, MIN_EXPONENTIAL_VALUE), now);
+            param.exponentialRampToValueAtTime(Math.max(value, MIN_EXPONENTIAL_VALUE), now + rampSeconds);
+            if (value < MIN_EXPONENTIAL_VALUE) {
+                param.setValueAtTime(value, now + rampSeconds);
+            }
+            break;
+        case 'target':
+            param.setValueAtTime(current, now);
+            param.setTargetAtTime(value, now, rampSeconds / 3);
+            break;
+        default:
+            param.setValueAtTime(current, now);
+            param.linearRampToValueAtTime(value, now + rampSeconds);
+            break;
+    }
+}
+
+function clampPan(pan) {
+    return Math.max(-1, Math.min(1, pan));
 }
 
-export function setPitch(handleId, pitch) {
+// ============================================================================
+// Voice Limiting
+// ============================================================================
+
+// Cap the number of simultaneous instances of one sound (zero removes the cap)
+export function setSoundVoiceLimit(soundId, maxInstances) {
+    if (maxInstances > 0) {
+        soundVoiceLimits.set(soundId, maxInstances);
+    } else {
+        soundVoiceLimits.delete(soundId);
+    }
+}
+
+// Cap the number of simultaneous sound instances across all sounds (zero removes the cap)
+export function setVoiceBudget(maxVoices) {
+    voiceBudget = maxVoices > 0 ? maxVoices : Infinity;
+}
+
+export function setStealPolicy(policy) {
+    stealPolicy = policy;
+}
+
+// Steal voices until the new instance fits under both caps. Returns false if the
+// new instance should not play; it is then reported as stolen itself.
+function makeRoomForVoice(soundId, handleId, priority) {
+    const soundLimit = soundVoiceLimits.get(soundId);
+    if (soundLimit !== undefined) {
+        const sameSound = [...playingInstances].filter(([, instance]) => instance.soundId === soundId);
+        if (sameSound.length >= soundLimit && !stealVoice(sameSound, handleId, priority)) {
+            return false;
+        }
+    }
+
+    if (playingInstances.size >= voiceBudget && !stealVoice([...playingInstances], handleId, priority)) {
+        return false;
+    }
+
+    return true;
+}
+
+function stealVoice(candidates, handleId, priority) {
+    let victim = null;
+    for (const candidate of candidates) {
+        if (!victim || compareStealOrder(candidate[1], victim[1]) < 0) {
+            victim = candidate;
+        }
+    }
+
+    // Under the priority policy a new sound never steals from a higher priority one
+    if (!victim || (stealPolicy === 'priority' && victim[1].priority > priority)) {
+        notifyStolen(handleId);
+        return false;
+    }
+
+    const [victimHandle, victimInstance] = victim;
+    releaseInstance(victimHandle, victimInstance);
+
+    // Fade over a few milliseconds rather than cutting off mid-waveform
+    const now = audioContext.currentTime;
+    victimInstance.gainNode.gain.setTargetAtTime(0, now, 0.005);
+    try {
+        victimInstance.source.stop(now + 0.03);
+    } catch (e) {
+        // Already stopped
+    }
+
+    notifyStolen(victimHandle);
+    return true;
+}
+
+// Negative when a should be stolen before b
+function compareStealOrder(a, b) {
+    switch (stealPolicy) {
+        case 'quietest':
+            return (a.volume * a.attenuation) - (b.volume * b.attenuation) || a.startTime - b.startTime;
+        case 'priority':
+            return a.priority - b.priority || a.startTime - b.startTime;
+        default:
+            return a.startTime - b.startTime;
+    }
+}
+
+function notifyStolen(handleId) {
+    if (dotNetRef) {
+        dotNetRef.invokeMethod('OnSoundStolen', handleId);
+    }
+}
+
+// ============================================================================
+// 2D Positional Audio
+// ============================================================================
+
+export function setListenerPosition(x, y) {
+    listenerX = x;
+    listenerY = y;
+
+    for (const instance of playingInstances.values()) {
+        if (instance.position) {
+            updatePositional(instance);
+        }
+    }
+}
+
+// Distance attenuation follows the Web Audio "inverse" distance model
+export function setAttenuation(newRefDistance, newMaxDistance, newRolloffFactor) {
+    refDistance = Math.max(0.0001, newRefDistance);
+    maxDistance = Math.max(refDistance, newMaxDistance);
+    rolloffFactor = Math.max(0, newRolloffFactor);
+
+    for (const instance of playingInstances.values()) {
+        if (instance.position) {
+            updatePositional(instance);
+        }
+    }
+}
+
+// Giving an instance a position switches it to positional mode, where pan and
+// attenuation are derived from its offset to the listener
+export function setPosition(handleId, x, y) {
     const instance = playingInstances.get(handleId);
     if (instance) {
-        instance.source.playbackRate.value = pitch;
+        instance.position = { x, y };
+        updatePositional(instance);
+    }
+}
+
+export function clearPosition(handleId) {
+    const instance = playingInstances.get(handleId);
+    if (instance && instance.position) {
+        instance.position = null;
+        instance.attenuation = 1;
+        instance.gainNode.gain.value = instance.volume;
+        instance.pannerNode.pan.value = instance.pan;
+    }
+}
+
+function updatePositional(instance) {
+    const dx = instance.position.x - listenerX;
+    const dy = instance.position.y - listenerY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const clamped = Math.min(Math.max(distance, refDistance), maxDistance);
+
+    instance.attenuation = refDistance / (refDistance + rolloffFactor * (clamped - refDistance));
+    instance.gainNode.gain.value = instance.volume * instance.attenuation;
+
+    // Pan by the horizontal share of the offset; sounds inside refDistance pan less
+    instance.pannerNode.pan.value = clampPan(dx / Math.max(distance, refDistance));
+}
+
+// ============================================================================
+// Suspend / Resume
+// ============================================================================
+
+// Suspend the whole audio context, e.g. for a pause menu. Everything, including
+// scheduled sounds and music, picks up where it left off on resumeAll().
+export function suspendAll() {
+    suspended = true;
+    applySuspended();
+}
+
+export function resumeAll() {
+    suspended = false;
+    applySuspended();
+}
+
+// Called by noz-platform.js when tab visibility changes. Audio stays suspended
+// after the tab is shown again if C# suspended it with suspendAll().
+export function setHidden(hidden) {
+    hiddenSuspended = hidden;
+    applySuspended();
+}
+
+function isSuspended() {
+    return suspended || hiddenSuspended;
+}
+
+function applySuspended() {
+    if (isSuspended()) {
+        if (audioContext && audioContext.state === 'running') {
+            audioContext.suspend();
+        }
+
+        // Media elements keep playing (silently) through a suspended context
+        if (currentMusic?.element) {
+            currentMusic.element.pause();
+        }
+        return;
+    }
+
+    if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+
+    if (currentMusic?.element) {
+        playMusicElement(currentMusic.element);
     }
 }
 
-export function playMusic(soundId) {
-    stopMusic();
+// ============================================================================
+// Music
+// ============================================================================
 
-    if (!audioContext || !sounds.has(soundId)) return;
+// Start a music track, fading it in over fadeInSeconds. The previous track fades
+// out over crossfadeSeconds (zero stops it immediately).
+export function playMusic(soundId, fadeInSeconds = 0, crossfadeSeconds = 0, loop = true) {
+    if (!unlocked) {
+        pendingMusic = () => playMusic(soundId, fadeInSeconds, crossfadeSeconds, loop);
+        return;
+    }
+
+    stopMusic(crossfadeSeconds);
 
-    const buffer = sounds.get(soundId);
-    musicSource = audioContext.createBufferSource();
-    musicSource.buffer = buffer;
-    musicSource.loop = true;
-    musicSource.connect(musicGain);
-    musicSource.start();
-    currentMusicId = soundId;
+    if (!sounds.has(soundId)) return;
+
+    currentMusic = startMusicTrack(soundId, [sounds.get(soundId)], loop, fadeInSeconds);
 }
 
-export function stopMusic() {
-    if (musicSource) {
+// Play introSoundId once, then loop loopSoundId starting exactly where the intro ends
+export function playMusicWithIntro(introSoundId, loopSoundId, fadeInSeconds = 0, crossfadeSeconds = 0) {
+    if (!unlocked) {
+        pendingMusic = () => playMusicWithIntro(introSoundId, loopSoundId, fadeInSeconds, crossfadeSeconds);
+        return;
+    }
+
+    stopMusic(crossfadeSeconds);
+
+    if (!sounds.has(introSoundId) || !sounds.has(loopSoundId)) return;
+
+    currentMusic = startMusicTrack(loopSoundId, [sounds.get(introSoundId), sounds.get(loopSoundId)], true, fadeInSeconds);
+}
+
+// Stream music from a URL through a media element instead of decoding it all into
+// memory. Same fade, loop and stop behavior as playMusic.
+export function playStreamedMusic(url, fadeInSeconds = 0, crossfadeSeconds = 0, loop = true) {
+    if (!unlocked) {
+        pendingMusic = () => playStreamedMusic(url, fadeInSeconds, crossfadeSeconds, loop);
+        return;
+    }
+
+    stopMusic(crossfadeSeconds);
+
+    const element = new Audio();
+    element.crossOrigin = 'anonymous';
+    element.loop = loop;
+    element.src = url;
+
+    const gainNode = createMusicGain(fadeInSeconds);
+    const mediaSource = audioContext.createMediaElementSource(element);
+    mediaSource.connect(gainNode);
+
+    const track = { soundId: null, sources: [], element, mediaSource, gainNode, stopped: false, voice: false };
+    addMusicVoice(track);
+    element.addEventListener('ended', () => onMusicTrackEnded(track));
+    element.addEventListener('error', () => console.error(`[Audio] Failed to stream music from ${url}`));
+
+    currentMusic = track;
+    playMusicElement(element);
+}
+
+// Wrap encoded audio data in an object URL for playStreamedMusic
+export function createStreamUrl(bytes, mimeType) {
+    return URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+}
+
+export function revokeStreamUrl(url) {
+    URL.revokeObjectURL(url);
+}
+
+function playMusicElement(element) {
+    if (isSuspended()) return;
+
+    element.play().catch(e => {
+        console.error('[Audio] Failed to play streamed music:', e);
+    });
+}
+
+function releaseMusicElement(track) {
+    releaseMusicVoice(track);
+    track.element.pause();
+    track.element.removeAttribute('src');
+    track.element.load();
+    track.mediaSource.disconnect();
+    track.gainNode.disconnect();
+}
+
+export function isMusicPlaying() {
+    return currentMusic !== null;
+}
+
+export function stopMusic(fadeOutSeconds = 0) {
+    pendingMusic = null;
+
+    if (currentMusic) {
+        stopMusicTrack(currentMusic, fadeOutSeconds);
+        currentMusic = null;
+    }
+}
+
+// Queued tracks play once each and advance when the current track ends. If
+// nothing is playing, the queue starts right away (or on unlock).
+export function queueMusic(soundId) {
+    musicQueue.push(soundId);
+
+    if (!currentMusic && !pendingMusic) {
+        advanceMusicQueue(0, 0);
+    }
+}
+
+export function clearMusicQueue() {
+    musicQueue.length = 0;
+}
+
+// When looping, finished tracks go back to the end of the queue
+export function setMusicQueueLooping(looping) {
+    musicQueueLooping = looping;
+}
+
+// Move to the next queued track, crossfading out of the current one
+export function skipMusic(crossfadeSeconds = 0) {
+    advanceMusicQueue(crossfadeSeconds, crossfadeSeconds);
+}
+
+function advanceMusicQueue(fadeInSeconds, crossfadeSeconds) {
+    // Skip over queued sounds that were destroyed since they were queued
+    for (let remaining = musicQueue.length; remaining > 0; remaining--) {
+        const soundId = musicQueue.shift();
+        if (musicQueueLooping) {
+            musicQueue.push(soundId);
+        }
+
+        if (sounds.has(soundId)) {
+            playMusic(soundId, fadeInSeconds, crossfadeSeconds, false);
+            return;
+        }
+    }
+}
+
+function createMusicGain(fadeInSeconds) {
+    const now = audioContext.currentTime;
+    const gainNode = audioContext.createGain();
+    gainNode.connect(buses.get('music').input);
+
+    if (fadeInSeconds > 0) {
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(1, now + fadeInSeconds);
+    }
+
+    return gainNode;
+}
+
+function startMusicTrack(soundId, buffers, loop, fadeInSeconds) {
+    const gainNode = createMusicGain(fadeInSeconds);
+    const track = { soundId, sources: [], gainNode, stopped: false, voice: false };
+    addMusicVoice(track);
+
+    // Schedule each buffer back to back so the loop body starts sample-accurately after the intro
+    let startTime = audioContext.currentTime;
+    buffers.forEach((buffer, i) => {
+        const source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = loop && i === buffers.length - 1;
+        if (source.loop && soundLoopRegions.has(soundId)) {
+            source.loopStart = soundLoopRegions.get(soundId).start;
+            source.loopEnd = soundLoopRegions.get(soundId).end;
+        }
+        source.connect(gainNode);
+        source.start(startTime);
+        startTime += buffer.duration;
+        track.sources.push(source);
+    });
+
+    track.sources[track.sources.length - 1].onended = () => onMusicTrackEnded(track);
+    return track;
+}
+
+function stopMusicTrack(track, fadeOutSeconds) {
+    track.stopped = true;
+
+    let stopTime = audioContext.currentTime;
+    if (fadeOutSeconds > 0) {
+        rampParam(track.gainNode.gain, 0, fadeOutSeconds);
+        stopTime += fadeOutSeconds;
+    }
+
+    for (const source of track.sources) {
         try {
-            musicSource.stop();
+            source.stop(stopTime);
         } catch (e) {
             // Already stopped
         }
-        musicSource = null;
-        currentMusicId = null;
     }
+
+    // Media elements aren't on the audio clock, so stop them with a timer after the fade
+    if (track.element) {
+        setTimeout(() => releaseMusicElement(track), fadeOutSeconds * 1000);
+    }
+}
+
+function onMusicTrackEnded(track) {
+    if (track.element) {
+        releaseMusicElement(track);
+    } else {
+        releaseMusicVoice(track);
+        track.gainNode.disconnect();
+    }
+
+    // Stopped or replaced tracks end through stopMusicTrack; only natural ends advance the queue
+    if (track.stopped || track !== currentMusic) return;
+
+    currentMusic = null;
+    advanceMusicQueue(0, 0);
+}
+
+// A track is a voice on the music bus until its audio ends, fade-outs included,
+// so the music bus can trigger ducking like any other
+function addMusicVoice(track) {
+    track.voice = true;
+    addBusVoices(buses.get('music'), 1);
+}
+
+function releaseMusicVoice(track) {
+    if (!track.voice) return;
+
+    track.voice = false;
+    addBusVoices(buses.get('music'), -1);
+}
+
+// ============================================================================
+// Buses
+// ============================================================================
+
+export function setMasterVolume(volume, rampSeconds = 0, curve = 'linear') {
+    setBusVolume('master', volume, rampSeconds, curve);
+}
+
+export function setSoundVolume(volume, rampSeconds = 0, curve = 'linear') {
+    setBusVolume('sound', volume, rampSeconds, curve);
+}
+
+export function setMusicVolume(volume, rampSeconds = 0, curve = 'linear') {
+    setBusVolume('music', volume, rampSeconds, curve);
+}
+
+// Create a named bus routed into parentName, or re-route it if it already exists
+export function createBus(name, parentName = 'master') {
+    if (!audioContext || name === 'master') return false;
+
+    const parent = buses.get(parentName);
+    if (!parent || isBusDescendant(parent, name)) {
+        console.error(`[Audio] Cannot route bus '${name}' to '${parentName}'`);
+        return false;
+    }
+
+    const bus = buses.get(name);
+    if (bus) {
+        bus.duckGain.disconnect();
+        bus.duckGain.connect(parent.input);
+        addBusVoices(bus.parent, -bus.voices);
+        bus.parent = parent;
+        addBusVoices(parent, bus.voices);
+    } else {
+        createBusNodes(name, parentName);
+    }
+
+    return true;
+}
+
+// Destroy a bus created with createBus. Its child buses and any sounds still
+// playing on it are re-routed to its parent.
+export function destroyBus(name) {
+    const bus = buses.get(name);
+    if (!bus || name === 'master' || name === 'sound' || name === 'music') return;
+
+    for (const child of buses.values()) {
+        if (child.parent === bus) {
+            createBus(child.name, bus.parent.name);
+        }
+    }
+
+    // The parent's voice count already includes these instances
+    for (const instance of playingInstances.values()) {
+        if (instance.bus === bus) {
+            instance.pannerNode.disconnect();
+            instance.pannerNode.connect(bus.parent.input);
+            instance.bus = bus.parent;
+        }
+    }
+
+    for (const [effectId, effect] of busEffects) {
+        if (effect.bus === bus) {
+            busEffects.delete(effectId);
+        }
+    }
+
+    for (let i = duckings.length - 1; i >= 0; i--) {
+        if (duckings[i].target === bus || duckings[i].trigger === bus) {
+            duckings.splice(i, 1);
+        }
+    }
+
+    for (const [analyserId, analyser] of analysers) {
+        if (analyser.bus === bus) {
+            analysers.delete(analyserId);
+        }
+    }
+
+    // Take the whole chain out of the graph, effects included
+    bus.input.disconnect();
+    for (const effect of bus.effects) {
+        effect.input.disconnect();
+        effect.output.disconnect();
+    }
+    bus.gain.disconnect();
+    bus.duckGain.disconnect();
+    buses.delete(name);
 }
 
-export function setMasterVolume(volume) {
-    if (masterGain) {
-        masterGain.gain.value = volume;
+export function setBusVolume(name, volume, rampSeconds = 0, curve = 'linear') {
+    const bus = buses.get(name);
+    if (bus) {
+        rampParam(bus.gain.gain, volume, rampSeconds, curve);
     }
 }
 
-export function setSoundVolume(volume) {
-    if (soundGain) {
-        soundGain.gain.value = volume;
+function createBusNodes(name, parentName) {
+    const parent = parentName ? buses.get(parentName) : null;
+    const bus = {
+        name,
+        parent,
+        input: audioContext.createGain(),
+        gain: audioContext.createGain(),
+        duckGain: audioContext.createGain(),
+        effects: [],
+        voices: 0
+    };
+
+    bus.input.connect(bus.gain);
+    bus.gain.connect(bus.duckGain);
+    bus.duckGain.connect(parent ? parent.input : audioContext.destination);
+
+    buses.set(name, bus);
+    return bus;
+}
+
+function isBusDescendant(bus, name) {
+    for (let b = bus; b; b = b.parent) {
+        if (b.name === name) return true;
+    }
+    return false;
+}
+
+// ============================================================================
+// Bus Effects
+// ============================================================================
+
+// Insert an effect at the end of a bus's effect chain. type is one of "lowpass",
+// "highpass", "reverb", "compressor" or "delay"; params holds its initial settings.
+export function addBusEffect(busName, effectId, type, params) {
+    const bus = buses.get(busName);
+    if (!audioContext || !bus) return false;
+
+    const effect = createEffect(type, params ?? {});
+    if (!effect) {
+        console.error(`[Audio] Unknown bus effect type: ${type}`);
+        return false;
     }
+
+    effect.bus = bus;
+    bus.effects.push(effect);
+    busEffects.set(effectId, effect);
+    rebuildEffectChain(bus);
+    return true;
+}
+
+export function removeBusEffect(effectId) {
+    const effect = busEffects.get(effectId);
+    if (!effect) return;
+
+    const bus = effect.bus;
+    busEffects.delete(effectId);
+    bus.effects.splice(bus.effects.indexOf(effect), 1);
+    effect.output.disconnect();
+    rebuildEffectChain(bus);
+}
+
+export function setBusEffectParam(effectId, param, value) {
+    const effect = busEffects.get(effectId);
+    if (effect && effect.params[param]) {
+        effect.params[param](value);
+    }
+}
+
+function rebuildEffectChain(bus) {
+    bus.input.disconnect();
+
+    let node = bus.input;
+    for (const effect of bus.effects) {
+        effect.output.disconnect();
+        node.connect(effect.input);
+        node = effect.output;
+    }
+    node.connect(bus.gain);
+}
+
+// Each effect is { input, output, params } where params maps a parameter name to a setter
+function createEffect(type, params) {
+    switch (type) {
+        case 'lowpass':
+        case 'highpass':
+            return createFilterEffect(type, params);
+        case 'reverb':
+            return createReverbEffect(params);
+        case 'compressor':
+            return createCompressorEffect(params);
+        case 'delay':
+            return createDelayEffect(params);
+        default:
+            return null;
+    }
+}
+
+function createFilterEffect(type, params) {
+    const filter = audioContext.createBiquadFilter();
+    filter.type = type;
+
+    const effect = {
+        input: filter,
+        output: filter,
+        params: {
+            frequency: v => { filter.frequency.value = v; },
+            q: v => { filter.Q.value = v; }
+        }
+    };
+
+    applyEffectParams(effect, params);
+    return effect;
+}
+
+// Convolution reverb using the impulse response in params.impulseSoundId, or a
+// generated exponentially decaying noise tail of params.duration seconds
+function createReverbEffect(params) {
+    const convolver = audioContext.createConvolver();
+    convolver.buffer = sounds.get(params.impulseSoundId) ??
+        createImpulseResponse(params.duration ?? 2, params.decay ?? 3);
+
+    const effect = createWetDryEffect(convolver, convolver);
+    applyEffectParams(effect, params);
+    return effect;
+}
+
+function createCompressorEffect(params) {
+    const compressor = audioContext.createDynamicsCompressor();
+
+    const effect = {
+        input: compressor,
+        output: compressor,
+        params: {
+            threshold: v => { compressor.threshold.value = v; },
+            knee: v => { compressor.knee.value = v; },
+            ratio: v => { compressor.ratio.value = v; },
+            attack: v => { compressor.attack.value = v; },
+            release: v => { compressor.release.value = v; }
+        }
+    };
+
+    applyEffectParams(effect, params);
+    return effect;
+}
+
+function createDelayEffect(params) {
+    const delay = audioContext.createDelay(5);
+    const feedback = audioContext.createGain();
+    feedback.gain.value = 0.3;
+    delay.delayTime.value = 0.25;
+
+    delay.connect(feedback);
+    feedback.connect(delay);
+
+    const effect = createWetDryEffect(delay, delay);
+    effect.params.time = v => { delay.delayTime.value = v; };
+    effect.params.feedback = v => { feedback.gain.value = Math.min(v, 0.95); };
+    applyEffectParams(effect, params);
+    return effect;
+}
+
+// Wrap a processing chain (wetIn -> wetOut) so the effect output is a mix of dry and wet signal
+function createWetDryEffect(wetIn, wetOut) {
+    const input = audioContext.createGain();
+    const output = audioContext.createGain();
+    const dry = audioContext.createGain();
+    const wet = audioContext.createGain();
+    dry.gain.value = 0.7;
+    wet.gain.value = 0.3;
+
+    input.connect(dry);
+    dry.connect(output);
+    input.connect(wetIn);
+    wetOut.connect(wet);
+    wet.connect(output);
+
+    return {
+        input,
+        output,
+        params: {
+            mix: v => {
+                dry.gain.value = 1 - v;
+                wet.gain.value = v;
+            }
+        }
+    };
+}
+
+function applyEffectParams(effect, params) {
+    for (const [name, value] of Object.entries(params)) {
+        if (effect.params[name]) {
+            effect.params[name](value);
+        }
+    }
+}
+
+function createImpulseResponse(duration, decay) {
+    const length = Math.max(1, Math.floor(audioContext.sampleRate * duration));
+    const impulse = audioContext.createBuffer(2, length, audioContext.sampleRate);
+
+    for (let c = 0; c < 2; c++) {
+        const data = impulse.getChannelData(c);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+        }
+    }
+
+    return impulse;
+}
+
+// ============================================================================
+// Ducking
+// ============================================================================
+
+// Duck targetName down to duckVolume while any sound is playing on triggerName
+// (or one of its child buses), e.g. music under dialogue
+export function setBusDucking(targetName, triggerName, duckVolume, attackSeconds, releaseSeconds) {
+    const target = buses.get(targetName);
+    const trigger = buses.get(triggerName);
+    if (!target || !trigger) return;
+
+    clearBusDucking(targetName, triggerName);
+    duckings.push({ target, trigger, duckVolume, attackSeconds, releaseSeconds });
+    updateDucking(target, attackSeconds);
+}
+
+export function clearBusDucking(targetName, triggerName) {
+    const index = duckings.findIndex(d => d.target.name === targetName && d.trigger.name === triggerName);
+    if (index === -1) return;
+
+    const ducking = duckings[index];
+    duckings.splice(index, 1);
+    updateDucking(ducking.target, ducking.releaseSeconds);
+}
+
+// Track playing voices on a bus and its ancestors so triggers see child bus activity
+function addBusVoices(bus, count) {
+    for (let b = bus; b && count !== 0; b = b.parent) {
+        const wasActive = b.voices > 0;
+        b.voices += count;
+
+        if (wasActive !== b.voices > 0) {
+            for (const ducking of duckings) {
+                if (ducking.trigger === b) {
+                    updateDucking(ducking.target, b.voices > 0 ? ducking.attackSeconds : ducking.releaseSeconds);
+                }
+            }
+        }
+    }
+}
+
+function updateDucking(target, rampSeconds) {
+    let level = 1;
+    for (const ducking of duckings) {
+        if (ducking.target === target && ducking.trigger.voices > 0) {
+            level = Math.min(level, ducking.duckVolume);
+        }
+    }
+
+    rampParam(target.duckGain.gain, level, Math.max(rampSeconds, 0.001));
+}
+
+// ============================================================================
+// Analysis
+// ============================================================================
+
+// Tap the output of a bus ("master", "sound", "music" or a named bus) with an
+// AnalyserNode. fftSize is a power of two from 32 to 32768.
+export function createAnalyser(analyserId, busName, fftSize = 2048, smoothing = 0.8) {
+    const bus = buses.get(busName);
+    if (!bus) {
+        console.error(`[Audio] Cannot create analyser on unknown bus '${busName}'`);
+        return false;
+    }
+
+    const node = audioContext.createAnalyser();
+    bus.duckGain.connect(node);
+
+    const analyser = { node, bus, bytes: null, floats: null };
+    analysers.set(analyserId, analyser);
+    setAnalyserSettings(analyserId, fftSize, smoothing);
+    return true;
+}
+
+export function destroyAnalyser(analyserId) {
+    const analyser = analysers.get(analyserId);
+    if (analyser) {
+        analyser.bus.duckGain.disconnect(analyser.node);
+        analysers.delete(analyserId);
+    }
+}
+
+export function setAnalyserSettings(analyserId, fftSize, smoothing) {
+    const analyser = analysers.get(analyserId);
+    if (!analyser) return;
+
+    try {
+        analyser.node.fftSize = fftSize;
+    } catch (e) {
+        console.error(`[Audio] Invalid analyser FFT size: ${fftSize}`);
+    }
+    analyser.node.smoothingTimeConstant = Math.max(0, Math.min(1, smoothing));
+
+    // Waveform data has fftSize samples, frequency data half that
+    analyser.bytes = new Uint8Array(analyser.node.fftSize);
+    analyser.floats = new Float32Array(analyser.node.fftSize);
+}
+
+// Frequency bins scaled to 0-255
+export function getFrequencyData(analyserId) {
+    const analyser = analysers.get(analyserId);
+    if (!analyser) return new Uint8Array(0);
+
+    const bins = analyser.bytes.subarray(0, analyser.node.frequencyBinCount);
+    analyser.node.getByteFrequencyData(bins);
+    return bins;
+}
+
+// Frequency bins in decibels. Float arrays are returned as plain arrays so they
+// serialize as JSON arrays for .NET. Silent bins come back as -Infinity, which JSON
+// can't carry, so they are clamped to the analyser's minDecibels.
+export function getFloatFrequencyData(analyserId) {
+    const analyser = analysers.get(analyserId);
+    if (!analyser) return [];
+
+    const bins = analyser.floats.subarray(0, analyser.node.frequencyBinCount);
+    analyser.node.getFloatFrequencyData(bins);
+
+    const minDecibels = analyser.node.minDecibels;
+    return Array.from(bins, value => Number.isFinite(value) ? value : minDecibels);
+}
+
+// Waveform samples scaled to 0-255, with 128 as silence
+export function getWaveformData(analyserId) {
+    const analyser = analysers.get(analyserId);
+    if (!analyser) return new Uint8Array(0);
+
+    analyser.node.getByteTimeDomainData(analyser.bytes);
+    return analyser.bytes;
+}
+
+// Waveform samples in [-1, 1]
+export function getFloatWaveformData(analyserId) {
+    const analyser = analysers.get(analyserId);
+    if (!analyser) return [];
+
+    analyser.node.getFloatTimeDomainData(analyser.floats);
+    return Array.from(analyser.floats);
+}
+
+// ============================================================================
+// Streams
+// ============================================================================
+
+const STREAM_READ_INDEX = 0;
+const STREAM_WRITE_INDEX = 1;
+
+// Sample rate streams are played at; C# should generate samples at this rate
+export function getSampleRate() {
+    return audioContext ? audioContext.sampleRate : 0;
+}
+
+// Create a streaming voice that plays interleaved float samples written with
+// writeStream(), buffering up to bufferSeconds ahead. Resolves to false if
+// AudioWorklet isn't available.
+export async function createStream(streamId, channels, bufferSeconds = 0.25, busName = 'sound') {
+    if (!audioContext || !audioContext.audioWorklet) return false;
+
+    try {
+        workletReady ??= audioContext.audioWorklet.addModule('/js/noz/noz-audio-worklet.js');
+        await workletReady;
+    } catch (e) {
+        console.error('[Audio] Failed to load stream worklet:', e);
+        workletReady = null;
+        return false;
+    }
+
+    // One slot stays empty to tell a full ring from an empty one
+    const capacity = Math.ceil(audioContext.sampleRate * bufferSeconds) + 1;
+
+    // SharedArrayBuffer needs a cross-origin isolated page; otherwise samples are posted
+    const shared = typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated;
+    const stateBuffer = shared ? new SharedArrayBuffer(2 * Int32Array.BYTES_PER_ELEMENT) : null;
+    const dataBuffer = shared ? new SharedArrayBuffer(capacity * channels * Float32Array.BYTES_PER_ELEMENT) : null;
+
+    const node = new AudioWorkletNode(audioContext, 'noz-stream', {
+        numberOfInputs: 0,
+        outputChannelCount: [channels],
+        processorOptions: { channels, capacity, state: stateBuffer, data: dataBuffer }
+    });
+
+    const gainNode = audioContext.createGain();
+    node.connect(gainNode);
+    gainNode.connect((buses.get(busName) ?? buses.get('sound')).input);
+
+    const stream = {
+        node,
+        gainNode,
+        channels,
+        capacity,
+        state: shared ? new Int32Array(stateBuffer) : null,
+        data: shared ? new Float32Array(dataBuffer) : null,
+        underruns: 0,
+
+        // Without SharedArrayBuffer: frames posted to the worklet, and frames it had
+        // played as of its last status report
+        framesWritten: 0,
+        framesRead: 0
+    };
+
+    node.port.onmessage = e => {
+        if (e.data.type !== 'status') return;
+
+        stream.framesRead = e.data.read;
+        stream.underruns = e.data.underruns;
+        if (e.data.underrun && dotNetRef) {
+            dotNetRef.invokeMethod('OnStreamUnderrun', streamId, stream.underruns);
+        }
+    };
+
+    streams.set(streamId, stream);
+    return true;
+}
+
+export function destroyStream(streamId) {
+    const stream = streams.get(streamId);
+    if (!stream) return;
+
+    stream.node.port.postMessage({ type: 'stop' });
+    stream.node.disconnect();
+    stream.gainNode.disconnect();
+    streams.delete(streamId);
+}
+
+// Queue interleaved 32-bit float samples (as raw bytes) for playback. Returns the
+// number of frames accepted, which is less than given if the buffer is full.
+export function writeStream(streamId, bytes) {
+    const stream = streams.get(streamId);
+    if (!stream) return 0;
+
+    // Float32Array views need 4-byte alignment
+    if (bytes.byteOffset % 4 !== 0) {
+        bytes = bytes.slice();
+    }
+    const samples = new Float32Array(bytes.buffer, bytes.byteOffset, Math.floor(bytes.byteLength / 4));
+
+    const free = stream.capacity - 1 - getStreamFill(streamId);
+    const frames = Math.min(free, Math.floor(samples.length / stream.channels));
+    if (frames <= 0) return 0;
+
+    const count = frames * stream.channels;
+    if (!stream.state) {
+        // Copy, since the worklet takes ownership of what is posted
+        stream.node.port.postMessage({ type: 'write', samples: samples.slice(0, count) });
+        stream.framesWritten += frames;
+        return frames;
+    }
+
+    // Copy in at most two runs, wrapping at the end of the ring
+    const write = Atomics.load(stream.state, STREAM_WRITE_INDEX);
+    const firstFrames = Math.min(frames, stream.capacity - write);
+    stream.data.set(samples.subarray(0, firstFrames * stream.channels), write * stream.channels);
+    stream.data.set(samples.subarray(firstFrames * stream.channels, count), 0);
+
+    Atomics.store(stream.state, STREAM_WRITE_INDEX, (write + frames) % stream.capacity);
+    return frames;
+}
+
+// Frames buffered and not yet played. Exact with SharedArrayBuffer; otherwise frames
+// played since the worklet's last report still count, so writers never overfill.
+export function getStreamFill(streamId) {
+    const stream = streams.get(streamId);
+    if (!stream) return 0;
+
+    if (!stream.state) return stream.framesWritten - stream.framesRead;
+
+    const read = Atomics.load(stream.state, STREAM_READ_INDEX);
+    const write = Atomics.load(stream.state, STREAM_WRITE_INDEX);
+    return (write - read + stream.capacity) % stream.capacity;
+}
+
+export function getStreamUnderruns(streamId) {
+    return streams.get(streamId)?.underruns ?? 0;
+}
+
+export function setStreamVolume(streamId, volume, rampSeconds = 0, curve = 'linear') {
+    const stream = streams.get(streamId);
+    if (stream) {
+        rampParam(stream.gainNode.gain, volume, rampSeconds, curve);
+    }
+}
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+// MediaStream carrying the master bus output, for mixing into a video recording
+export function createRecordingStream() {
+    if (!audioContext) return null;
+
+    if (!recordingDestination) {
+        recordingDestination = audioContext.createMediaStreamDestination();
+        buses.get('master').duckGain.connect(recordingDestination);
+    }
+
+    return recordingDestination.stream;
 }
 
-export function setMusicVolume(volume) {
-    if (musicGain) {
-        musicGain.gain.value = volume;
+export function releaseRecordingStream() {
+    if (recordingDestination) {
+        buses.get('master').duckGain.disconnect(recordingDestination);
+        recordingDestination = null;
     }
 }
@@ -0,0 +1,20 @@
+// NoZ Game Loop - Background Timer Worker
+//
+// Timers in a hidden tab's main thread are throttled to once a second or worse,
+// but worker timers keep running, so this posts a message at the requested rate
+// for noz-gameloop.js to run simulation ticks from while the tab is hidden.
+
+let timerId = null;
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    if (timerId !== null) {
+        clearInterval(timerId);
+        timerId = null;
+    }
+
+    if (msg.type === 'start') {
+        timerId = setInterval(() => self.postMessage('tick'), msg.intervalMs);
+    }
+};
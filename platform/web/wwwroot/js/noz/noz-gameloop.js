@@ -6,11 +6,55 @@ let lastTime = 0;
 let running = false;
 let paused = false;
 
+// Deltas above this are clamped so a hitch can't reach the simulation in one step
+let maxDeltaTime = 0.1;
+
+// Fixed timestep mode (disabled when fixedTimestep is 0): FixedTick runs zero or
+// more times per frame from an accumulator, capped at maxFixedSteps per frame
+let fixedTimestep = 0;
+let maxFixedSteps = 5;
+let accumulator = 0;
+
+// Frame rate cap (disabled when frameInterval is 0). Ticks are due every
+// frameInterval ms; nextFrameTime advances by whole intervals so pacing stays even
+// when the display rate isn't a multiple of the cap.
+let frameInterval = 0;
+let nextFrameTime = 0;
+
+// Rolling window of frame times in ms between ticks that reached C#
+const STATS_WINDOW = 240;
+const frameTimes = new Float32Array(STATS_WINDOW);
+let frameTimeCount = 0;
+let frameTimeIndex = 0;
+let lastTickTime = 0;
+
+// Upper bounds in ms of the frame time histogram buckets; a final bucket holds the rest
+const HISTOGRAM_BUCKETS_MS = [4, 8, 12, 17, 25, 33, 50, 100];
+
+// Debug time controls. debugPaused is independent of the visibility pause; while
+// it is set, only frames requested with stepFrames run, each with stepDeltaTime.
+let timeScale = 1;
+let debugPaused = false;
+let pendingSteps = 0;
+let stepDeltaTime = 1 / 60;
+let debugHotkeys = { pause: null, step: null };
+
+// Background mode: while the tab is hidden, a worker timer drives simulation-only
+// ticks (GameTick with render = false) at backgroundHz instead of fully pausing
+let backgroundEnabled = false;
+let backgroundHz = 10;
+let backgroundWorker = null;
+
+// Called at the start of every rendered tick, before C# runs (e.g. gamepad polling)
+const tickListeners = [];
+
 export function start(dotNet) {
     dotNetRef = dotNet;
     running = true;
     paused = false;
     lastTime = performance.now();
+    lastTickTime = lastTime;
+    nextFrameTime = lastTime;
     requestAnimationFrame(tick);
 }
 
@@ -20,17 +64,164 @@ export function stop() {
         cancelAnimationFrame(animationFrameId);
         animationFrameId = null;
     }
+    stopBackgroundTicks();
+}
+
+export function setMaxDeltaTime(seconds) {
+    maxDeltaTime = seconds > 0 ? seconds : Infinity;
+}
+
+// Enable fixed timestep mode with a step in seconds, or disable it with 0
+export function setFixedTimestep(step, maxSteps = 5) {
+    fixedTimestep = Math.max(0, step);
+    maxFixedSteps = Math.max(1, maxSteps);
+    accumulator = 0;
+}
+
+// Cap the tick rate at fps, or remove the cap with 0
+export function setTargetFps(fps) {
+    frameInterval = fps > 0 ? 1000.0 / fps : 0;
+    nextFrameTime = performance.now();
+}
+
+export function setTimeScale(scale) {
+    timeScale = Math.max(0, scale);
+}
+
+export function setDebugPaused(isPaused) {
+    if (debugPaused === isPaused) return;
+
+    debugPaused = isPaused;
+    pendingSteps = 0;
+    if (!isPaused) {
+        lastTime = performance.now();
+        lastTickTime = lastTime;
+        nextFrameTime = lastTime;
+    }
+}
+
+export function isDebugPaused() {
+    return debugPaused;
+}
+
+// Advance exactly count ticks of deltaTime seconds, one per display refresh.
+// Enters debug pause first so the loop stops again after the last step. With a
+// fixed timestep each step also runs exactly one FixedTick.
+export function stepFrames(count = 1, deltaTime = 1 / 60) {
+    setDebugPaused(true);
+    pendingSteps += Math.max(0, count);
+    stepDeltaTime = deltaTime;
+}
+
+// Bind KeyboardEvent.code values (e.g. 'F9') that toggle debug pause and step one
+// frame; pass null for either to unbind it
+export function setDebugHotkeys(pauseCode, stepCode) {
+    debugHotkeys = { pause: pauseCode, step: stepCode };
+}
+
+// Called by noz-platform.js for every key event before it forwards the key to C#.
+// Returns true for a bound debug hotkey, which the game then never sees.
+export function handleDebugHotkey(e) {
+    if (!e.code || (e.code !== debugHotkeys.pause && e.code !== debugHotkeys.step)) {
+        return false;
+    }
+
+    if (e.type === 'keydown' && !e.repeat) {
+        if (e.code === debugHotkeys.pause) {
+            setDebugPaused(!debugPaused);
+        } else {
+            stepFrames(1, stepDeltaTime);
+        }
+    }
+
+    // Keep debug keys away from the browser too (F-keys have defaults)
+    e.preventDefault();
+    return true;
+}
+
+export function addTickListener(listener) {
+    tickListeners.push(listener);
+}
+
+export function removeTickListener(listener) {
+    const index = tickListeners.indexOf(listener);
+    if (index !== -1) tickListeners.splice(index, 1);
+}
+
+// Keep simulating at hz ticks per second while the tab is hidden, or fully pause
+// when hidden (the default) with enabled = false
+export function setBackgroundMode(enabled, hz = 10) {
+    backgroundEnabled = enabled;
+    backgroundHz = Math.max(1, hz);
+
+    stopBackgroundTicks();
+    if (paused && running && enabled) {
+        startBackgroundTicks();
+    }
 }
 
 // Called by noz-platform.js when tab visibility changes
 export function setPaused(isPaused) {
     paused = isPaused;
     if (!isPaused) {
+        stopBackgroundTicks();
+
         // Reset lastTime so the first frame back doesn't get a huge deltaTime
         lastTime = performance.now();
+        lastTickTime = lastTime;
+        nextFrameTime = lastTime;
+    } else if (backgroundEnabled && running) {
+        startBackgroundTicks();
     }
 }
 
+// Frame time statistics over the last STATS_WINDOW ticks
+export function getFrameStats() {
+    const count = frameTimeCount;
+    const histogram = new Array(HISTOGRAM_BUCKETS_MS.length + 1).fill(0);
+    if (count === 0) {
+        return { averageMs: 0, averageFps: 0, onePercentLowFps: 0, maxMs: 0, histogram, histogramBucketsMs: HISTOGRAM_BUCKETS_MS };
+    }
+
+    const times = Array.from(frameTimes.subarray(0, count)).sort((a, b) => b - a);
+    let total = 0;
+    for (const time of times) {
+        total += time;
+
+        const bucket = HISTOGRAM_BUCKETS_MS.findIndex(limit => time <= limit);
+        histogram[bucket === -1 ? HISTOGRAM_BUCKETS_MS.length : bucket]++;
+    }
+
+    // 1% low: the frame rate averaged over the slowest 1% of frames
+    const worstCount = Math.max(1, Math.floor(count / 100));
+    let worstTotal = 0;
+    for (let i = 0; i < worstCount; i++) {
+        worstTotal += times[i];
+    }
+
+    const averageMs = total / count;
+    return {
+        averageMs,
+        averageFps: 1000.0 / averageMs,
+        onePercentLowFps: 1000.0 / (worstTotal / worstCount),
+        maxMs: times[0],
+        histogram,
+        histogramBucketsMs: HISTOGRAM_BUCKETS_MS
+    };
+}
+
+export function resetFrameStats() {
+    frameTimeCount = 0;
+    frameTimeIndex = 0;
+}
+
+function recordFrameTime(currentTime) {
+    frameTimes[frameTimeIndex] = currentTime - lastTickTime;
+    frameTimeIndex = (frameTimeIndex + 1) % STATS_WINDOW;
+    frameTimeCount = Math.min(frameTimeCount + 1, STATS_WINDOW);
+    lastTickTime = currentTime;
+}
+
 function tick(currentTime) {
     if (!running) return;
 
@@ -44,13 +235,133 @@ function tick(currentTime) {
         return;
     }
 
-    const deltaTime = (currentTime - lastTime) / 1000.0; // Convert to seconds
-    lastTime = currentTime;
+    // deltaTime has the time scale applied; steps use stepDeltaTime exactly
+    let deltaTime;
+    let unscaledDeltaTime;
+    let stepping = false;
+    if (debugPaused) {
+        lastTime = currentTime;
+        if (pendingSteps === 0) return;
+
+        pendingSteps--;
+        stepping = true;
+        deltaTime = stepDeltaTime;
+        unscaledDeltaTime = stepDeltaTime;
+    } else {
+        if (frameInterval > 0) {
+            // RAF timestamps jitter, so allow a tick that is due within a millisecond
+            if (currentTime < nextFrameTime - 1) return;
+
+            nextFrameTime += frameInterval;
+
+            // Resync after a stall instead of ticking back to back to catch up
+            if (nextFrameTime < currentTime) {
+                nextFrameTime = currentTime + frameInterval;
+            }
+        }
+
+        recordFrameTime(currentTime);
+
+        unscaledDeltaTime = Math.min((currentTime - lastTime) / 1000.0, maxDeltaTime); // Convert to seconds
+        deltaTime = unscaledDeltaTime * timeScale;
+        lastTime = currentTime;
+    }
+
+    for (const listener of tickListeners) {
+        try {
+            listener();
+        } catch (e) {
+            console.error('[GameLoop] Tick listener threw:', e);
+        }
+    }
+
+    let alpha = 1;
+    if (fixedTimestep > 0) {
+        alpha = stepping ? runSingleFixedTick() : runFixedTicks(deltaTime);
+    }
 
     // Call C# game tick
     try {
-        dotNetRef.invokeMethod('GameTick', deltaTime);
+        dotNetRef.invokeMethod('GameTick', deltaTime, unscaledDeltaTime, alpha, true);
     } catch (e) {
         console.error('[GameLoop] GameTick threw:', e);
     }
 }
+
+function startBackgroundTicks() {
+    if (!backgroundWorker) {
+        try {
+            backgroundWorker = new Worker('/js/noz/noz-gameloop-worker.js');
+            backgroundWorker.onmessage = backgroundTick;
+        } catch (e) {
+            console.error('[GameLoop] Failed to start background worker:', e);
+            return;
+        }
+    }
+
+    lastTime = performance.now();
+    backgroundWorker.postMessage({ type: 'start', intervalMs: 1000.0 / backgroundHz });
+}
+
+function stopBackgroundTicks() {
+    if (backgroundWorker) {
+        backgroundWorker.postMessage({ type: 'stop' });
+    }
+}
+
+// Simulation-only tick while hidden: WebGPU can't present, so C# must skip rendering
+function backgroundTick() {
+    if (!running || !paused) return;
+
+    const currentTime = performance.now();
+    if (debugPaused) {
+        lastTime = currentTime;
+        return;
+    }
+
+    const unscaledDeltaTime = Math.min((currentTime - lastTime) / 1000.0, maxDeltaTime);
+    const deltaTime = unscaledDeltaTime * timeScale;
+    lastTime = currentTime;
+
+    const alpha = fixedTimestep > 0 ? runFixedTicks(deltaTime) : 1;
+
+    try {
+        dotNetRef.invokeMethod('GameTick', deltaTime, unscaledDeltaTime, alpha, false);
+    } catch (e) {
+        console.error('[GameLoop] GameTick threw:', e);
+    }
+}
+
+// A debug step runs exactly one fixed step whatever stepDeltaTime is, leaving the
+// accumulator alone so interpolation picks up where it paused
+function runSingleFixedTick() {
+    try {
+        dotNetRef.invokeMethod('FixedTick', fixedTimestep);
+    } catch (e) {
+        console.error('[GameLoop] FixedTick threw:', e);
+    }
+
+    return accumulator / fixedTimestep;
+}
+
+// Run the fixed steps owed for this frame and return the interpolation alpha,
+// how far the render frame is between the last fixed step and the next
+function runFixedTicks(deltaTime) {
+    accumulator += deltaTime;
+
+    try {
+        for (let steps = 0; accumulator >= fixedTimestep && steps < maxFixedSteps; steps++) {
+            dotNetRef.invokeMethod('FixedTick', fixedTimestep);
+            accumulator -= fixedTimestep;
+        }
+    } catch (e) {
+        console.error('[GameLoop] FixedTick threw:', e);
+    }
+
+    // Out of catch-up steps: drop the backlog rather than fall further behind
+    if (accumulator >= fixedTimestep) {
+        accumulator %= fixedTimestep;
+    }
+
+    return accumulator / fixedTimestep;
+}
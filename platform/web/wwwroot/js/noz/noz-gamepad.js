@@ -0,0 +1,174 @@
+// NoZ Gamepad - Browser Gamepad API
+// Polled by noz-platform once per game loop tick; reports connects, disconnects and
+// every button and axis change to C#. Pads with the W3C "standard" mapping share one
+// layout (buttons 0-16, axes 0-3); other pads are reported with raw indices.
+
+let dotNetRef = null;
+
+// Radial dead zone for each stick and a flat one for analog buttons (triggers)
+let stickDeadZone = 0.15;
+let buttonDeadZone = 0.05;
+
+// Axis changes smaller than this aren't reported
+const AXIS_EPSILON = 0.001;
+
+// index -> { buttons: [{ pressed, value }], axes: [] } as last reported to C#
+const pads = new Map();
+
+export function init(dotNet) {
+    dotNetRef = dotNet;
+}
+
+export function shutdown() {
+    pads.clear();
+    dotNetRef = null;
+}
+
+export function setDeadZones(stick, button) {
+    stickDeadZone = Math.min(Math.max(stick, 0), 0.95);
+    buttonDeadZone = Math.min(Math.max(button, 0), 0.95);
+}
+
+export function poll() {
+    if (!dotNetRef || !navigator.getGamepads) return;
+
+    const gamepads = navigator.getGamepads();
+    const seen = new Set();
+
+    for (const gamepad of gamepads) {
+        if (!gamepad || !gamepad.connected) continue;
+
+        seen.add(gamepad.index);
+
+        let pad = pads.get(gamepad.index);
+        if (!pad) {
+            pad = connect(gamepad);
+        }
+
+        pollButtons(gamepad, pad);
+        pollAxes(gamepad, pad);
+    }
+
+    for (const index of [...pads.keys()]) {
+        if (!seen.has(index)) {
+            pads.delete(index);
+            dotNetRef.invokeMethod('OnGamepadDisconnected', index);
+        }
+    }
+}
+
+// Rumble for durationMs with separate low (strong) and high (weak) frequency motors
+export function rumble(index, strong, weak, durationMs) {
+    const gamepad = getGamepad(index);
+    if (!gamepad) return;
+
+    const actuator = gamepad.vibrationActuator;
+    if (actuator && actuator.playEffect) {
+        actuator.playEffect('dual-rumble', {
+            startDelay: 0,
+            duration: durationMs,
+            strongMagnitude: clamp01(strong),
+            weakMagnitude: clamp01(weak)
+        }).catch(() => { });
+    } else if (gamepad.hapticActuators && gamepad.hapticActuators.length > 0) {
+        // Older Firefox only has a single-motor pulse
+        gamepad.hapticActuators[0].pulse(clamp01(Math.max(strong, weak)), durationMs);
+    }
+}
+
+export function stopRumble(index) {
+    const gamepad = getGamepad(index);
+    if (gamepad && gamepad.vibrationActuator && gamepad.vibrationActuator.reset) {
+        gamepad.vibrationActuator.reset().catch(() => { });
+    }
+}
+
+function connect(gamepad) {
+    const pad = {
+        buttons: gamepad.buttons.map(() => ({ pressed: false, value: 0 })),
+        axes: gamepad.axes.map(() => 0)
+    };
+    pads.set(gamepad.index, pad);
+
+    const hasRumble = !!(gamepad.vibrationActuator || (gamepad.hapticActuators && gamepad.hapticActuators.length > 0));
+    dotNetRef.invokeMethod('OnGamepadConnected', gamepad.index, gamepad.id, gamepad.mapping,
+        gamepad.buttons.length, gamepad.axes.length, hasRumble);
+
+    return pad;
+}
+
+function pollButtons(gamepad, pad) {
+    for (let i = 0; i < gamepad.buttons.length && i < pad.buttons.length; i++) {
+        const button = gamepad.buttons[i];
+        const value = button.value < buttonDeadZone ? 0 : button.value;
+        const last = pad.buttons[i];
+
+        if (button.pressed !== last.pressed || Math.abs(value - last.value) > AXIS_EPSILON) {
+            last.pressed = button.pressed;
+            last.value = value;
+            dotNetRef.invokeMethod('OnGamepadButton', gamepad.index, i, button.pressed, value);
+        }
+    }
+}
+
+function pollAxes(gamepad, pad) {
+    const axes = gamepad.axes;
+    const values = new Array(axes.length);
+
+    if (gamepad.mapping === 'standard') {
+        // Sticks are axis pairs (0,1) and (2,3); a radial dead zone keeps diagonals smooth
+        applyStickDeadZone(axes, values, 0);
+        applyStickDeadZone(axes, values, 2);
+        for (let i = 4; i < axes.length; i++) {
+            values[i] = applyDeadZone(axes[i]);
+        }
+    } else {
+        for (let i = 0; i < axes.length; i++) {
+            values[i] = applyDeadZone(axes[i]);
+        }
+    }
+
+    for (let i = 0; i < values.length && i < pad.axes.length; i++) {
+        if (Math.abs(values[i] - pad.axes[i]) > AXIS_EPSILON || (values[i] === 0 && pad.axes[i] !== 0)) {
+            pad.axes[i] = values[i];
+            dotNetRef.invokeMethod('OnGamepadAxis', gamepad.index, i, values[i]);
+        }
+    }
+}
+
+function applyStickDeadZone(axes, values, first) {
+    if (first + 1 >= axes.length) {
+        if (first < axes.length) values[first] = applyDeadZone(axes[first]);
+        return;
+    }
+
+    const x = axes[first];
+    const y = axes[first + 1];
+    const length = Math.sqrt(x * x + y * y);
+
+    if (length <= stickDeadZone) {
+        values[first] = 0;
+        values[first + 1] = 0;
+        return;
+    }
+
+    // Rescale so output still starts at 0 just past the dead zone and reaches 1
+    const scale = Math.min((length - stickDeadZone) / (1 - stickDeadZone), 1) / length;
+    values[first] = x * scale;
+    values[first + 1] = y * scale;
+}
+
+function applyDeadZone(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= stickDeadZone) return 0;
+    return Math.sign(value) * Math.min((magnitude - stickDeadZone) / (1 - stickDeadZone), 1);
+}
+
+function getGamepad(index) {
+    if (!navigator.getGamepads) return null;
+    return navigator.getGamepads()[index] || null;
+}
+
+function clamp01(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
@@ -0,0 +1,211 @@
+// NoZ Gestures - Touch Gesture Recognition
+// Fed the same touch stream noz-platform sends to C# (device pixels), and reports
+// pinch, two-finger pan, rotate, long-press and swipe as separate callbacks
+
+let dotNetRef = null;
+
+// Distances are in CSS pixels and scaled by devicePixelRatio when compared, so a
+// gesture takes the same finger travel on every screen
+const options = {
+    pinchThreshold: 0.05,       // Fractional change in finger distance before a pinch starts
+    panThreshold: 10,           // Center travel before a two-finger pan starts
+    rotateThreshold: 0.15,      // Radians of twist before a rotate starts
+    longPressMs: 500,
+    longPressSlop: 10,          // A long press is cancelled by moving further than this
+    swipeMinDistance: 50,
+    swipeMaxMs: 300,
+    wheelPinchSpeed: 0.01       // Scale change per wheel delta unit for ctrl+wheel pinch
+};
+
+// id -> { startX, startY, x, y, startTime }
+const touches = new Map();
+
+// Two-finger state; the three gestures activate independently once past their threshold
+let twoFinger = null;
+
+// Single finger state for long-press and swipe
+let longPressTimer = null;
+let singleFingerGesture = false; // Still eligible for long-press / swipe
+
+export function init(dotNet) {
+    dotNetRef = dotNet;
+}
+
+export function shutdown() {
+    cancelLongPress();
+    touches.clear();
+    twoFinger = null;
+    dotNetRef = null;
+}
+
+export function setOptions(newOptions) {
+    for (const key of Object.keys(options)) {
+        if (newOptions[key] !== undefined && newOptions[key] !== null) {
+            options[key] = newOptions[key];
+        }
+    }
+}
+
+export function touchBegan(id, x, y) {
+    touches.set(id, { startX: x, startY: y, x, y, startTime: performance.now() });
+
+    if (touches.size === 1) {
+        singleFingerGesture = true;
+        startLongPress(x, y);
+    } else {
+        // A second finger turns this into a multi-finger gesture for good
+        singleFingerGesture = false;
+        cancelLongPress();
+    }
+
+    twoFinger = touches.size === 2 ? beginTwoFinger() : null;
+}
+
+export function touchMoved(id, x, y) {
+    const touch = touches.get(id);
+    if (!touch) return;
+
+    touch.x = x;
+    touch.y = y;
+
+    if (longPressTimer !== null && distance(x - touch.startX, y - touch.startY) > scaled(options.longPressSlop)) {
+        cancelLongPress();
+    }
+
+    if (twoFinger) {
+        updateTwoFinger();
+    }
+}
+
+export function touchEnded(id, x, y) {
+    const touch = touches.get(id);
+    if (!touch) return;
+
+    touches.delete(id);
+    cancelLongPress();
+
+    if (singleFingerGesture && touches.size === 0) {
+        checkSwipe(touch, x, y);
+    }
+
+    if (touches.size === 0) {
+        singleFingerGesture = false;
+    }
+
+    // Lifting one of three fingers leaves a fresh two-finger gesture
+    twoFinger = touches.size === 2 ? beginTwoFinger() : null;
+}
+
+export function touchCancelled(id) {
+    touches.delete(id);
+    cancelLongPress();
+    singleFingerGesture = false;
+    twoFinger = touches.size === 2 ? beginTwoFinger() : null;
+}
+
+// Trackpad pinch arrives as a wheel event with ctrlKey set; report it like a touch pinch
+export function wheelPinch(deltaY, x, y) {
+    const scale = Math.exp(-deltaY * options.wheelPinchSpeed);
+    dotNetRef.invokeMethod('OnPinch', scale, x, y);
+}
+
+// ============================================================================
+// Two-finger gestures
+// ============================================================================
+
+function measureTwoFinger() {
+    const [a, b] = touches.values();
+    return {
+        centerX: (a.x + b.x) * 0.5,
+        centerY: (a.y + b.y) * 0.5,
+        distance: distance(b.x - a.x, b.y - a.y),
+        angle: Math.atan2(b.y - a.y, b.x - a.x)
+    };
+}
+
+function beginTwoFinger() {
+    const start = measureTwoFinger();
+    return { start, last: start, pinching: false, panning: false, rotating: false };
+}
+
+function updateTwoFinger() {
+    const now = measureTwoFinger();
+    const { start, last } = twoFinger;
+
+    if (!twoFinger.pinching && start.distance > 0 && Math.abs(now.distance / start.distance - 1) > options.pinchThreshold) {
+        twoFinger.pinching = true;
+    }
+    if (!twoFinger.panning && distance(now.centerX - start.centerX, now.centerY - start.centerY) > scaled(options.panThreshold)) {
+        twoFinger.panning = true;
+    }
+    if (!twoFinger.rotating && Math.abs(angleDelta(start.angle, now.angle)) > options.rotateThreshold) {
+        twoFinger.rotating = true;
+    }
+
+    // Each event carries the change since the previous one so C# can apply it directly
+    if (twoFinger.pinching && last.distance > 0) {
+        dotNetRef.invokeMethod('OnPinch', now.distance / last.distance, now.centerX, now.centerY);
+    }
+    if (twoFinger.panning) {
+        dotNetRef.invokeMethod('OnTwoFingerPan', now.centerX - last.centerX, now.centerY - last.centerY, now.centerX, now.centerY);
+    }
+    if (twoFinger.rotating) {
+        dotNetRef.invokeMethod('OnRotate', angleDelta(last.angle, now.angle), now.centerX, now.centerY);
+    }
+
+    twoFinger.last = now;
+}
+
+// ============================================================================
+// Single-finger gestures
+// ============================================================================
+
+function startLongPress(x, y) {
+    cancelLongPress();
+    longPressTimer = setTimeout(() => {
+        longPressTimer = null;
+
+        // A long press doesn't also end as a swipe
+        singleFingerGesture = false;
+        dotNetRef.invokeMethod('OnLongPress', x, y);
+    }, options.longPressMs);
+}
+
+function cancelLongPress() {
+    if (longPressTimer !== null) {
+        clearTimeout(longPressTimer);
+        longPressTimer = null;
+    }
+}
+
+function checkSwipe(touch, x, y) {
+    const elapsed = performance.now() - touch.startTime;
+    const dx = x - touch.startX;
+    const dy = y - touch.startY;
+    const length = distance(dx, dy);
+
+    if (elapsed <= options.swipeMaxMs && length >= scaled(options.swipeMinDistance)) {
+        // Velocity in device pixels per second
+        dotNetRef.invokeMethod('OnSwipe', dx, dy, length / Math.max(elapsed, 1) * 1000, touch.startX, touch.startY);
+    }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function distance(dx, dy) {
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+function scaled(cssPixels) {
+    return cssPixels * (window.devicePixelRatio || 1);
+}
+
+// Shortest signed difference between two angles, so crossing ±PI doesn't jump
+function angleDelta(from, to) {
+    let delta = to - from;
+    if (delta > Math.PI) delta -= Math.PI * 2;
+    else if (delta < -Math.PI) delta += Math.PI * 2;
+    return delta;
+}
@@ -5,12 +5,38 @@ let dotNetRef = null;
 let lastClickTime = 0;
 let clickCount = 0;
 let gameLoop = null;
+let audio = null;
+let gestures = null;
+let gamepad = null;
+let canvasResizeHandler = null;
+
+// MessagePort to the rendering worker (noz-webgpu-proxy.js), which gets a copy of
+// every input event sent to C#
+let inputPort = null;
+
+// When set, the first finger down also drives the mouse (move + left button) for
+// UI that only understands the mouse; primaryTouchId is that finger
+let touchMouseEmulation = true;
+let primaryTouchId = null;
+
+// Set while a promise-based requestPointerLock is waiting, so its rejection is the
+// only error reported
+let pointerLockRequestPending = false;
 
 export async function init(dotNet, width, height) {
     dotNetRef = dotNet;
 
-    // Import game loop module so we can pause/resume on visibility change
+    // Import game loop and audio modules so we can pause/resume on visibility change
     gameLoop = await import('/js/noz/noz-gameloop.js');
+    audio = await import('/js/noz/noz-audio.js');
+
+    gestures = await import('/js/noz/noz-gestures.js');
+    gestures.init(dotNet);
+
+    // Gamepads have no input events, so poll them at the start of every tick
+    gamepad = await import('/js/noz/noz-gamepad.js');
+    gamepad.init(dotNet);
+    gameLoop.addTickListener(gamepad.poll);
 
     // Use the canvas created by Blazor (same one WebGPU uses)
     canvas = document.getElementById('canvas');
@@ -43,10 +69,11 @@ export async function init(dotNet, width, height) {
     canvas.addEventListener('mouseenter', onMouseEnter);
     canvas.addEventListener('mouseleave', onMouseLeave);
 
-    // Touch events (basic support)
+    // Touch events
     canvas.addEventListener('touchstart', onTouchStart, { passive: false });
     canvas.addEventListener('touchend', onTouchEnd);
     canvas.addEventListener('touchmove', onTouchMove, { passive: false });
+    canvas.addEventListener('touchcancel', onTouchCancel);
 
     // Resize
     window.addEventListener('resize', onResize);
@@ -61,6 +88,10 @@ export async function init(dotNet, width, height) {
     // Notify C# when tab visibility changes (focus gained/lost)
     document.addEventListener('visibilitychange', onVisibilityChange);
 
+    // Pointer lock state changes, including the user leaving it with Escape
+    document.addEventListener('pointerlockchange', onPointerLockChange);
+    document.addEventListener('pointerlockerror', onPointerLockError);
+
     // Prevent default behaviors that interfere with games
     canvas.tabIndex = 1;
     canvas.focus();
@@ -70,12 +101,20 @@ export async function init(dotNet, width, height) {
 }
 
 export function shutdown() {
+    gestures?.shutdown();
+    if (gamepad) {
+        gameLoop.removeTickListener(gamepad.poll);
+        gamepad.shutdown();
+    }
+
     window.removeEventListener('keydown', onKeyDown, true);
     window.removeEventListener('keyup', onKeyUp, true);
     window.removeEventListener('resize', onResize);
     window.removeEventListener('blur', onWindowBlur);
     window.removeEventListener('beforeunload', onBeforeUnload);
     document.removeEventListener('visibilitychange', onVisibilityChange);
+    document.removeEventListener('pointerlockchange', onPointerLockChange);
+    document.removeEventListener('pointerlockerror', onPointerLockError);
 
     if (canvas) {
         canvas.removeEventListener('mousedown', onMouseDown);
@@ -87,7 +126,11 @@ export function shutdown() {
         canvas.removeEventListener('touchstart', onTouchStart);
         canvas.removeEventListener('touchend', onTouchEnd);
         canvas.removeEventListener('touchmove', onTouchMove);
+        canvas.removeEventListener('touchcancel', onTouchCancel);
     }
+
+    primaryTouchId = null;
+    dotNetRef = null;
 }
 
 export function getCanvas() {
@@ -131,26 +174,48 @@ function onWindowBlur() {
 function syncModifiers(e) {
     // Sync modifier key state with the browser's actual state to prevent stuck keys.
     // This catches cases where keyup was missed (e.g. browser dialog stole focus).
-    syncModifier(e.ctrlKey, 'Control');
-    syncModifier(e.shiftKey, 'Shift');
-    syncModifier(e.altKey, 'Alt');
-    syncModifier(e.metaKey, 'Meta');
-}
-
-function syncModifier(pressed, key) {
-    var code = key.toLowerCase();
-    if (pressed && !modifierState[code]) {
-        modifierState[code] = true;
-        dotNetRef.invokeMethod('OnKeyDown', key);
-    } else if (!pressed && modifierState[code]) {
-        modifierState[code] = false;
-        dotNetRef.invokeMethod('OnKeyUp', key);
+    syncModifier(e.ctrlKey, 'Control', e);
+    syncModifier(e.shiftKey, 'Shift', e);
+    syncModifier(e.altKey, 'Alt', e);
+    syncModifier(e.metaKey, 'Meta', e);
+}
+
+function syncModifier(pressed, key, e = null) {
+    const codes = modifierCodes[key];
+
+    // The event is for this modifier itself: send it with its physical code (which
+    // side) and repeat flag, like any other key
+    if (e && e.key === key && e.code) {
+        if (e.type === 'keydown') {
+            codes.delete('');
+            codes.add(e.code);
+            dotNetRef.invokeMethod('OnKeyDown', key, e.code, e.repeat);
+        } else if (codes.delete(e.code)) {
+            dotNetRef.invokeMethod('OnKeyUp', key, e.code);
+        }
+    }
+
+    // Catch up on presses and releases the page never saw; these have no code
+    if (!pressed) {
+        for (const code of codes) {
+            dotNetRef.invokeMethod('OnKeyUp', key, code);
+        }
+        codes.clear();
+    } else if (codes.size === 0) {
+        codes.add('');
+        dotNetRef.invokeMethod('OnKeyDown', key, '', false);
     }
 }
 
-let modifierState = { control: false, shift: false, alt: false, meta: false };
+// Physical codes held for each modifier ('Shift' -> 'ShiftLeft'), or '' for a press
+// only noticed from another event's modifier flags
+const modifierCodes = { Control: new Set(), Shift: new Set(), Alt: new Set(), Meta: new Set() };
 
 function onKeyDown(e) {
+    if (gameLoop.handleDebugHotkey(e)) return;
+
+    forwardInput({ type: 'keydown', key: e.key, code: e.code, repeat: e.repeat });
+
     // Prevent default for game keys (arrows, space, etc.)
     if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' ', 'Tab'].includes(e.key)) {
         e.preventDefault();
@@ -164,9 +229,10 @@ function onKeyDown(e) {
     // Sync modifiers with browser state before processing the key
     syncModifiers(e);
 
-    // Don't double-send modifier keys (syncModifiers already handled them)
+    // Don't double-send modifier keys (syncModifiers already handled them).
+    // e.code is the physical key, which C# binds to so layouts and Shift don't matter.
     if (!['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) {
-        dotNetRef.invokeMethod('OnKeyDown', e.key);
+        dotNetRef.invokeMethod('OnKeyDown', e.key, e.code, e.repeat);
     }
 
     // Forward printable characters as text input (e.key is a single char for printable keys)
@@ -176,13 +242,35 @@ function onKeyDown(e) {
 }
 
 function onKeyUp(e) {
+    if (gameLoop.handleDebugHotkey(e)) return;
+
+    forwardInput({ type: 'keyup', key: e.key, code: e.code });
+
     syncModifiers(e);
 
     if (!['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) {
-        dotNetRef.invokeMethod('OnKeyUp', e.key);
+        dotNetRef.invokeMethod('OnKeyUp', e.key, e.code);
     }
 }
 
+// Label the current keyboard layout prints on the physical key code (e.g. 'KeyQ' is
+// 'a' on AZERTY). Without the Keyboard API (Firefox, Safari) this falls back to
+// the US layout for letters and digits, and null for anything else.
+export async function getKeyLabel(code) {
+    if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+        try {
+            const layoutMap = await navigator.keyboard.getLayoutMap();
+            const label = layoutMap.get(code);
+            if (label !== undefined) return label;
+        } catch (e) {
+            // Not allowed here (e.g. inside a cross-origin iframe); use the fallback
+        }
+    }
+
+    const match = /^(?:Key|Digit)(.)$/.exec(code);
+    return match ? match[1].toLowerCase() : null;
+}
+
 function onMouseDown(e) {
     const now = Date.now();
     if (now - lastClickTime < 300 && e.button === 0) {
@@ -193,22 +281,79 @@ function onMouseDown(e) {
     lastClickTime = now;
 
     const rect = canvas.getBoundingClientRect();
+    forwardInput({ type: 'mousedown', button: e.button });
     dotNetRef.invokeMethod('OnMouseDown', e.button, clickCount);
 }
 
 function onMouseUp(e) {
+    forwardInput({ type: 'mouseup', button: e.button });
     dotNetRef.invokeMethod('OnMouseUp', e.button);
 }
 
 function onMouseMove(e) {
+    // Locked: the cursor is hidden and pinned, so only relative motion means anything.
+    // Deltas are in the browser's units (CSS pixels, or raw device counts with
+    // unadjustedMovement), not scaled to device pixels.
+    if (isPointerLocked()) {
+        forwardInput({ type: 'mousedelta', dx: e.movementX, dy: e.movementY });
+        dotNetRef.invokeMethod('OnMouseDelta', e.movementX, e.movementY);
+        return;
+    }
+
     const rect = canvas.getBoundingClientRect();
     const dpr = window.devicePixelRatio || 1;
     const x = (e.clientX - rect.left) * dpr;
     const y = (e.clientY - rect.top) * dpr;
+    forwardInput({ type: 'mousemove', x, y });
     dotNetRef.invokeMethod('OnMouseEnter');
     dotNetRef.invokeMethod('OnMouseMove', x, y);
 }
 
+// unadjustedMovement asks for raw mouse counts without OS acceleration; where the
+// browser doesn't support it the lock is retried without it
+export async function requestPointerLock(unadjustedMovement) {
+    if (!canvas || !canvas.requestPointerLock) {
+        dotNetRef.invokeMethod('OnPointerLockError', 'Pointer lock not supported');
+        return;
+    }
+
+    // Newer browsers return a promise that rejects with the reason; older ones
+    // only fire pointerlockerror, which reports the failure in that case
+    pointerLockRequestPending = true;
+    try {
+        try {
+            await canvas.requestPointerLock(unadjustedMovement ? { unadjustedMovement: true } : undefined);
+        } catch (e) {
+            if (!unadjustedMovement || e.name !== 'NotSupportedError') throw e;
+            await canvas.requestPointerLock();
+        }
+    } catch (e) {
+        dotNetRef.invokeMethod('OnPointerLockError', e.message || e.name);
+    } finally {
+        pointerLockRequestPending = false;
+    }
+}
+
+export function exitPointerLock() {
+    if (isPointerLocked()) {
+        document.exitPointerLock();
+    }
+}
+
+function isPointerLocked() {
+    return canvas !== null && document.pointerLockElement === canvas;
+}
+
+function onPointerLockChange() {
+    dotNetRef.invokeMethod('OnPointerLockChange', isPointerLocked());
+}
+
+function onPointerLockError() {
+    if (!pointerLockRequestPending) {
+        dotNetRef.invokeMethod('OnPointerLockError', 'Pointer lock request was denied');
+    }
+}
+
 function onMouseEnter(e) {
     const rect = canvas.getBoundingClientRect();
     const dpr = window.devicePixelRatio || 1;
@@ -222,47 +367,136 @@ function onMouseLeave() {
 
 function onMouseWheel(e) {
     e.preventDefault();
+
+    // Trackpad pinch: browsers report it as ctrl+wheel
+    if (e.ctrlKey) {
+        const rect = canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        gestures.wheelPinch(e.deltaY, (e.clientX - rect.left) * dpr, (e.clientY - rect.top) * dpr);
+        return;
+    }
+
     // Normalize scroll values
     const deltaX = e.deltaX > 0 ? 1 : e.deltaX < 0 ? -1 : 0;
     const deltaY = e.deltaY > 0 ? -1 : e.deltaY < 0 ? 1 : 0; // Inverted for natural scrolling
+    forwardInput({ type: 'wheel', deltaX, deltaY });
     dotNetRef.invokeMethod('OnMouseWheel', deltaX, deltaY);
 }
 
-function onTouchStart(e) {
-    e.preventDefault();
-    if (e.touches.length > 0) {
-        const touch = e.touches[0];
-        const rect = canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
+export function setTouchMouseEmulation(enabled) {
+    // Don't leave the emulated button held if a finger is down right now
+    if (!enabled && primaryTouchId !== null) {
+        primaryTouchId = null;
+        if (dotNetRef) {
+            dotNetRef.invokeMethod('OnMouseUp', 0);
+        }
+    }
+    touchMouseEmulation = enabled;
+}
+
+export function setGamepadDeadZones(stick, button) {
+    gamepad.setDeadZones(stick, button);
+}
+
+export function rumbleGamepad(index, strong, weak, durationMs) {
+    gamepad.rumble(index, strong, weak, durationMs);
+}
+
+export function stopGamepadRumble(index) {
+    gamepad.stopRumble(index);
+}
+
+export function setGestureOptions(options) {
+    gestures.setOptions(options);
+}
+
+// Send every changed touch to C# as method(id, x, y, pressure), in device pixels
+// like mouse coordinates, and to the gesture recognizer through gestureHandler.
+// Pressure is 0 where the hardware doesn't report force.
+function sendChangedTouches(e, method, gestureHandler) {
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    for (const touch of e.changedTouches) {
         const x = (touch.clientX - rect.left) * dpr;
         const y = (touch.clientY - rect.top) * dpr;
-        dotNetRef.invokeMethod('OnMouseMove', x, y);
+        forwardInput({ type: e.type, id: touch.identifier, x, y });
+        dotNetRef.invokeMethod(method, touch.identifier, x, y, touch.force);
+        gestureHandler(touch.identifier, x, y);
+
+        if (touch.identifier === primaryTouchId) {
+            dotNetRef.invokeMethod('OnMouseMove', x, y);
+        }
+    }
+}
+
+function findChangedTouch(e, id) {
+    for (const touch of e.changedTouches) {
+        if (touch.identifier === id) return touch;
+    }
+    return null;
+}
+
+function onTouchStart(e) {
+    e.preventDefault();
+
+    if (touchMouseEmulation && primaryTouchId === null) {
+        primaryTouchId = e.changedTouches[0].identifier;
+    }
+
+    sendChangedTouches(e, 'OnTouchBegin', gestures.touchBegan);
+
+    if (touchMouseEmulation && findChangedTouch(e, primaryTouchId)) {
         dotNetRef.invokeMethod('OnMouseDown', 0, 1); // Simulate left click
     }
 }
 
 function onTouchEnd(e) {
-    dotNetRef.invokeMethod('OnMouseUp', 0);
+    sendChangedTouches(e, 'OnTouchEnd', gestures.touchEnded);
+    releasePrimaryTouch(e);
 }
 
 function onTouchMove(e) {
     e.preventDefault();
-    if (e.touches.length > 0) {
-        const touch = e.touches[0];
-        const rect = canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
-        const x = (touch.clientX - rect.left) * dpr;
-        const y = (touch.clientY - rect.top) * dpr;
-        dotNetRef.invokeMethod('OnMouseMove', x, y);
+    sendChangedTouches(e, 'OnTouchMove', gestures.touchMoved);
+}
+
+function onTouchCancel(e) {
+    sendChangedTouches(e, 'OnTouchCancel', gestures.touchCancelled);
+    releasePrimaryTouch(e);
+}
+
+function releasePrimaryTouch(e) {
+    if (primaryTouchId !== null && findChangedTouch(e, primaryTouchId)) {
+        primaryTouchId = null;
+        dotNetRef.invokeMethod('OnMouseUp', 0);
+    }
+}
+
+// Set by noz-webgpu-proxy.js while it renders in a worker, null otherwise
+export function setInputPort(port) {
+    inputPort = port;
+}
+
+function forwardInput(event) {
+    if (inputPort) {
+        inputPort.postMessage(event);
     }
 }
 
+// Once the canvas is transferred to a rendering worker (noz-webgpu-proxy.js) the
+// page can't set its size anymore, so resizes go through this handler instead
+export function setCanvasResizeHandler(handler) {
+    canvasResizeHandler = handler;
+}
+
 function onResize() {
     // Update canvas size to match window, accounting for device pixel ratio
     const dpr = window.devicePixelRatio || 1;
     const width = Math.floor(window.innerWidth * dpr);
     const height = Math.floor(window.innerHeight * dpr);
-    if (canvas) {
+    if (canvasResizeHandler) {
+        canvasResizeHandler(width, height);
+    } else if (canvas) {
         canvas.width = width;
         canvas.height = height;
     }
@@ -286,6 +520,11 @@ function onVisibilityChange() {
         gameLoop.setPaused(!visible);
     }
 
+    // Suspend audio along with the game loop so looping sounds and music stop too
+    if (audio) {
+        audio.setHidden(!visible);
+    }
+
     if (dotNetRef) {
         dotNetRef.invokeMethod('OnVisibilityChanged', visible);
     }
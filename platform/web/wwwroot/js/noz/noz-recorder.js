@@ -0,0 +1,97 @@
+// NoZ Recorder - Gameplay clip capture
+// Records the WebGPU canvas and the noz-audio master output to WebM
+
+let recorder = null;
+let chunks = [];
+let recording = null;
+let canvasStream = null;
+let audio = null;
+
+const mimeTypes = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+export async function startRecording(videoBitsPerSecond, frameRate, audioBitsPerSecond) {
+    if (recorder || typeof MediaRecorder === 'undefined') return false;
+
+    const canvas = document.getElementById('canvas');
+    if (!canvas || !canvas.captureStream) {
+        console.error('[Recorder] Canvas capture is not supported');
+        return false;
+    }
+
+    const mimeType = mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        console.error('[Recorder] WebM recording is not supported');
+        return false;
+    }
+
+    audio ??= await import('/js/noz/noz-audio.js');
+
+    canvasStream = canvas.captureStream(frameRate);
+    const audioStream = audio.createRecordingStream();
+    const stream = new MediaStream([
+        ...canvasStream.getVideoTracks(),
+        ...(audioStream ? audioStream.getAudioTracks() : [])
+    ]);
+
+    chunks = [];
+    recording = null;
+    recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond, audioBitsPerSecond });
+    recorder.ondataavailable = e => {
+        if (e.data.size > 0) {
+            chunks.push(e.data);
+        }
+    };
+
+    // Collect data every second rather than all at once when the recording stops
+    recorder.start(1000);
+    return true;
+}
+
+// Stop recording and keep the clip for downloadRecording. Resolves to its size in bytes.
+export function stopRecording() {
+    if (!recorder) return Promise.resolve(0);
+
+    return new Promise(resolve => {
+        const stopped = recorder;
+        stopped.onstop = () => {
+            recording = new Blob(chunks, { type: stopped.mimeType });
+            chunks = [];
+            resolve(recording.size);
+        };
+        stopped.stop();
+
+        for (const track of canvasStream.getTracks()) {
+            track.stop();
+        }
+        canvasStream = null;
+        audio.releaseRecordingStream();
+        recorder = null;
+    });
+}
+
+export function isRecording() {
+    return recorder !== null;
+}
+
+// Save the last stopped recording through the browser's download prompt
+export function downloadRecording(fileName) {
+    if (!recording) return false;
+
+    const url = URL.createObjectURL(recording);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    return true;
+}
+
+export function discardRecording() {
+    recording = null;
+}
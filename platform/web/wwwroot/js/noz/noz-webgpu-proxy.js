@@ -0,0 +1,474 @@
+// NoZ WebGPU Bridge - Worker Proxy
+// Drop-in replacement for noz-webgpu.js that renders from a Worker. The canvas is
+// transferred to noz-webgpu-worker.js as an OffscreenCanvas, and every call from
+// C# is queued here and posted to the worker in one batch per task, so the main
+// thread only pays for copying data, not for WebGPU validation and encoding.
+//
+// WebGPUInterop calls are synchronous, so ids for new resources are handed out
+// here from counters that mirror the ones in noz-webgpu.js; the worker checks
+// that it allocated the same id.
+
+import * as platform from './noz-platform.js';
+
+// Object creation helpers only build plain descriptors, so they run locally
+export {
+    BlendModes,
+    BufferUsage,
+    TextureUsage,
+    getBlendState,
+    createUniformBufferLayoutEntry,
+    createTexture2DLayoutEntry,
+    createTexture2DArrayLayoutEntry,
+    createUnfilterableTexture2DLayoutEntry,
+    createSamplerLayoutEntry,
+    createBufferBindGroupEntry,
+    createTextureBindGroupEntry,
+    createSamplerBindGroupEntry,
+    createRenderPipelineDescriptor,
+    createColorAttachment
+} from './noz-webgpu.js';
+
+let worker = null;
+let inputChannel = null;
+let presentFormat = null;
+let surfaceWidth = 0;
+let surfaceHeight = 0;
+let surfaceResized = false;
+let deviceLost = false;
+
+// Frames posted to the worker that the GPU hasn't finished. beginFrame turns frames
+// away at the limit, so C# can't queue work faster than the worker renders it.
+const MAX_FRAMES_IN_FLIGHT = 2;
+let framesInFlight = 0;
+
+// Calls waiting for the next flush, and the buffers to transfer with them
+let pendingCalls = [];
+let pendingTransfers = [];
+
+const readbackRequests = new Map();
+const readbackResults = new Map();
+let nextReadbackRequestId = 1;
+
+// Mirrors of the id counters in noz-webgpu.js
+let nextBufferId = 1;
+let nextTextureId = 2; // 1 reserved for white texture
+let nextShaderId = 1;
+let nextPipelineId = 1;
+let nextBindGroupId = 1;
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+// Start the worker and check that WebGPU works inside it, before init hands it the
+// canvas for good. Returns false with the canvas untouched if it doesn't, so the
+// caller can render on the main thread with noz-webgpu.js instead.
+export async function probeWorker() {
+    if (worker) return true;
+
+    if (!HTMLCanvasElement.prototype.transferControlToOffscreen) {
+        return false;
+    }
+
+    let candidate = null;
+    try {
+        candidate = new Worker('/js/noz/noz-webgpu-worker.js', { type: 'module' });
+
+        const error = await new Promise(resolve => {
+            candidate.onmessage = (e) => {
+                if (e.data.type === 'probe') resolve(e.data.error);
+            };
+            candidate.onerror = (e) => resolve(e.message || "WebGPU worker failed to load");
+            candidate.postMessage({ type: 'probe' });
+        });
+
+        if (error) {
+            console.warn('[WebGPU Worker] Unavailable, rendering on the main thread:', error);
+            candidate.terminate();
+            return false;
+        }
+    } catch (err) {
+        console.warn('[WebGPU Worker] Unavailable, rendering on the main thread:', err.message);
+        candidate?.terminate();
+        return false;
+    }
+
+    worker = candidate;
+    return true;
+}
+
+export async function init(canvasSelector) {
+    const canvas = document.querySelector(canvasSelector);
+    if (!canvas) {
+        throw new Error(`Canvas not found: ${canvasSelector}`);
+    }
+
+    if (!(await probeWorker())) {
+        throw new Error("WebGPU not supported in a worker");
+    }
+
+    surfaceWidth = canvas.width;
+    surfaceHeight = canvas.height;
+
+    const ready = new Promise((resolve, reject) => {
+        worker.onmessage = (e) => {
+            if (e.data.type === 'ready') resolve(e.data.result);
+            else if (e.data.type === 'error') reject(new Error(e.data.message));
+        };
+        worker.onerror = (e) => reject(new Error(e.message || "WebGPU worker failed to load"));
+    });
+
+    // noz-platform.js posts its input events straight to the worker on this channel
+    inputChannel = new MessageChannel();
+
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({ type: 'init', canvas: offscreen, inputPort: inputChannel.port2 }, [offscreen, inputChannel.port2]);
+
+    const result = await ready;
+    worker.onmessage = onWorkerMessage;
+    worker.onerror = (e) => console.error('[WebGPU Worker] Error:', e.message);
+
+    presentFormat = result.format;
+
+    // The page can't resize a transferred canvas, so route resizes to the worker
+    platform.setCanvasResizeHandler(resizeSurface);
+    platform.setInputPort(inputChannel.port1);
+
+    return result;
+}
+
+export function shutdown() {
+    platform.setCanvasResizeHandler(null);
+    platform.setInputPort(null);
+
+    if (inputChannel) {
+        inputChannel.port1.close();
+        inputChannel = null;
+    }
+
+    if (worker) {
+        worker.terminate();
+        worker = null;
+    }
+
+    pendingCalls = [];
+    pendingTransfers = [];
+    framesInFlight = 0;
+    readbackRequests.clear();
+    readbackResults.clear();
+}
+
+export function getSurfaceSize() {
+    return { width: surfaceWidth, height: surfaceHeight };
+}
+
+export function checkResize() {
+    const resized = surfaceResized;
+    surfaceResized = false;
+    return resized;
+}
+
+export function setCanvasSize(width, height) {
+    resizeSurface(width, height);
+}
+
+function resizeSurface(width, height) {
+    if (width === surfaceWidth && height === surfaceHeight) return;
+
+    surfaceWidth = width;
+    surfaceHeight = height;
+    surfaceResized = true;
+
+    // Flush first so the resize lands between frames, not in the middle of one
+    flush();
+    worker.postMessage({ type: 'resize', width, height });
+}
+
+function onWorkerMessage(e) {
+    const msg = e.data;
+
+    switch (msg.type) {
+        case 'deviceLost':
+            deviceLost = true;
+            break;
+
+        case 'frameDone':
+            framesInFlight = Math.max(0, framesInFlight - 1);
+            break;
+
+        case 'readback': {
+            const request = readbackRequests.get(msg.requestId);
+            readbackRequests.delete(msg.requestId);
+            if (!request) break;
+
+            if (msg.error) {
+                request.reject(new Error(msg.error));
+            } else {
+                readbackResults.set(request.textureId, msg.pixels);
+                request.resolve(msg.pixels.length);
+            }
+            break;
+        }
+    }
+}
+
+// ============================================================================
+// Call Batching
+// ============================================================================
+
+function enqueue(name, args, expectedId) {
+    if (!worker) return;
+
+    if (pendingCalls.length === 0) {
+        queueMicrotask(flush);
+    }
+
+    pendingCalls.push(expectedId === undefined ? [name, args] : [name, args, expectedId]);
+}
+
+function flush() {
+    if (!worker || pendingCalls.length === 0) return;
+
+    worker.postMessage({ type: 'calls', calls: pendingCalls }, pendingTransfers);
+    pendingCalls = [];
+    pendingTransfers = [];
+}
+
+// Copy a C# MemoryView out of WASM memory, which is only valid during the call
+function copyData(data) {
+    if (!data) return null;
+
+    const bytes = new Uint8Array(data.slice());
+    pendingTransfers.push(bytes.buffer);
+    return bytes;
+}
+
+// ============================================================================
+// Resources
+// ============================================================================
+
+export function createBuffer(size, usage, label) {
+    const id = nextBufferId++;
+    enqueue('createBuffer', [size, usage, label], id);
+    return id;
+}
+
+export function writeBuffer(bufferId, offset, data) {
+    enqueue('writeBuffer', [bufferId, offset, copyData(data)]);
+}
+
+export function destroyBuffer(bufferId) {
+    enqueue('destroyBuffer', [bufferId]);
+}
+
+export function createMesh(maxVertices, maxIndices, vertexStride, label) {
+    const id = nextBufferId++;
+    enqueue('createMesh', [maxVertices, maxIndices, vertexStride, label], id);
+    return id;
+}
+
+export function updateMesh(meshId, vertexData, indexData) {
+    enqueue('updateMesh', [meshId, copyData(vertexData), copyData(indexData)]);
+}
+
+export function destroyMesh(meshId) {
+    enqueue('destroyMesh', [meshId]);
+}
+
+export function createTexture(width, height, format, usage, label) {
+    const id = nextTextureId++;
+    enqueue('createTexture', [width, height, format, usage, label], id);
+    return id;
+}
+
+export function createTextureArray(width, height, layers, format, label) {
+    const id = nextTextureId++;
+    enqueue('createTextureArray', [width, height, layers, format, label], id);
+    return id;
+}
+
+export function writeTexture(textureId, data, width, height, bytesPerRow, layer) {
+    enqueue('writeTexture', [textureId, copyData(data), width, height, bytesPerRow, layer]);
+}
+
+export function writeTextureRegion(textureId, data, x, y, width, height, bytesPerRow) {
+    enqueue('writeTextureRegion', [textureId, copyData(data), x, y, width, height, bytesPerRow]);
+}
+
+export function destroyTexture(textureId) {
+    enqueue('destroyTexture', [textureId]);
+}
+
+export function createShaderModule(code, label) {
+    const id = nextShaderId++;
+    enqueue('createShaderModule', [code, label], id);
+    return id;
+}
+
+export function destroyShaderModule(shaderId) {
+    enqueue('destroyShaderModule', [shaderId]);
+}
+
+export function createBindGroupLayout(entries, label) {
+    const id = nextPipelineId++;
+    enqueue('createBindGroupLayout', [Array.from(entries), label], id);
+    return id;
+}
+
+export function createPipelineLayout(bindGroupLayoutIds, label) {
+    const id = nextPipelineId++;
+    enqueue('createPipelineLayout', [Array.from(bindGroupLayoutIds), label], id);
+    return id;
+}
+
+export function createRenderPipeline(descriptor) {
+    const id = nextPipelineId++;
+    enqueue('createRenderPipeline', [descriptor], id);
+    return id;
+}
+
+export function destroyRenderPipeline(pipelineId) {
+    enqueue('destroyRenderPipeline', [pipelineId]);
+}
+
+// Unlike noz-webgpu.js this can't return -1 for a missing layout; the worker
+// logs the error and the id stays unbound
+export function createBindGroup(layoutId, entries, label) {
+    const id = nextBindGroupId++;
+    enqueue('createBindGroup', [layoutId, Array.from(entries), label], id);
+    return id;
+}
+
+export function createBindGroupFromJson(layoutId, entriesJson, label) {
+    const id = nextBindGroupId++;
+    enqueue('createBindGroupFromJson', [layoutId, entriesJson, label], id);
+    return id;
+}
+
+export function destroyBindGroup(bindGroupId) {
+    enqueue('destroyBindGroup', [bindGroupId]);
+}
+
+// ============================================================================
+// Frame and Render Passes
+// ============================================================================
+
+// The worker's own beginFrame can still fail after this returns true; the worker
+// then drops that frame's pass and draw calls up to endFrame
+export function beginFrame() {
+    if (!worker || deviceLost || framesInFlight >= MAX_FRAMES_IN_FLIGHT) return false;
+
+    enqueue('beginFrame', []);
+    return true;
+}
+
+export function endFrame() {
+    enqueue('endFrame', []);
+    framesInFlight++;
+}
+
+export function beginRenderPass(colorAttachments, depthAttachment, label) {
+    enqueue('beginRenderPass', [Array.from(colorAttachments), depthAttachment, label]);
+    return true;
+}
+
+export function endRenderPass() {
+    enqueue('endRenderPass', []);
+}
+
+export function setViewport(x, y, width, height, minDepth, maxDepth) {
+    enqueue('setViewport', [x, y, width, height, minDepth, maxDepth]);
+}
+
+export function setScissorRect(x, y, width, height) {
+    enqueue('setScissorRect', [x, y, width, height]);
+}
+
+export function setPipeline(pipelineId) {
+    enqueue('setPipeline', [pipelineId]);
+}
+
+export function setBindGroup(index, bindGroupId) {
+    enqueue('setBindGroup', [index, bindGroupId]);
+}
+
+export function setVertexBuffer(slot, meshId) {
+    enqueue('setVertexBuffer', [slot, meshId]);
+}
+
+export function setIndexBuffer(meshId) {
+    enqueue('setIndexBuffer', [meshId]);
+}
+
+export function drawIndexed(indexCount, instanceCount, firstIndex, baseVertex, firstInstance) {
+    enqueue('drawIndexed', [indexCount, instanceCount, firstIndex, baseVertex, firstInstance]);
+}
+
+export function draw(vertexCount, instanceCount, firstVertex, firstInstance) {
+    enqueue('draw', [vertexCount, instanceCount, firstVertex, firstInstance]);
+}
+
+export function executeCommandBuffer(buffer, count) {
+    enqueue('executeCommandBuffer', [copyData(buffer), count]);
+}
+
+// ============================================================================
+// Render Textures
+// ============================================================================
+
+export function createRenderTexture(width, height, format, sampleCount, label) {
+    // Shares the texture id space, as in noz-webgpu.js
+    const id = nextTextureId++;
+    enqueue('createRenderTexture', [width, height, format, sampleCount, label], id);
+    return id;
+}
+
+export function destroyRenderTexture(textureId) {
+    enqueue('destroyRenderTexture', [textureId]);
+}
+
+export function beginRenderTexturePass(textureId, clearR, clearG, clearB, clearA) {
+    enqueue('beginRenderTexturePass', [textureId, clearR, clearG, clearB, clearA]);
+}
+
+export function endRenderTexturePass() {
+    enqueue('endRenderTexturePass', []);
+}
+
+export function readRenderTexturePixels(textureId) {
+    if (!worker) return Promise.reject(new Error("WebGPU worker not running"));
+
+    // The render pass that fills the texture must reach the worker first
+    flush();
+
+    const requestId = nextReadbackRequestId++;
+    return new Promise((resolve, reject) => {
+        readbackRequests.set(requestId, { textureId, resolve, reject });
+        worker.postMessage({ type: 'readback', requestId, textureId });
+    });
+}
+
+export function copyReadbackResult(textureId, dest) {
+    const result = readbackResults.get(textureId);
+    readbackResults.delete(textureId);
+    if (result) {
+        dest.set(result);
+    }
+}
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+export function getPresentFormat() {
+    return presentFormat;
+}
+
+// The device and its textures live in the worker
+export function getDevice() {
+    return null;
+}
+
+export function getTextureView(textureId) {
+    return null;
+}
@@ -0,0 +1,169 @@
+// NoZ WebGPU Bridge - Rendering Worker
+// Runs noz-webgpu.js against an OffscreenCanvas, replaying the calls that
+// noz-webgpu-proxy.js batches up on the main thread
+
+import * as gpu from './noz-webgpu.js';
+
+let deviceLostReported = false;
+
+// Set while the frame in progress failed to begin (e.g. no surface texture). The
+// proxy has already told C# the frame started, so its pass and draw calls are
+// dropped here until endFrame instead of running without a command encoder.
+let skippingFrame = false;
+const FRAME_CALLS = new Set([
+    'beginRenderPass', 'endRenderPass', 'setViewport', 'setScissorRect', 'setPipeline',
+    'setBindGroup', 'setVertexBuffer', 'setIndexBuffer', 'drawIndexed', 'draw',
+    'executeCommandBuffer', 'beginRenderTexturePass', 'endRenderTexturePass', 'endFrame'
+]);
+
+// Latest input from noz-platform.js, which posts every key, mouse and touch event
+// over a MessageChannel so code running here sees input without going through the
+// main thread's C# frame
+const input = { mouseX: 0, mouseY: 0, buttons: 0, keys: new Set(), touches: new Map() };
+
+self.onmessage = async (e) => {
+    const msg = e.data;
+
+    switch (msg.type) {
+        case 'probe':
+            self.postMessage({ type: 'probe', error: await probe() });
+            break;
+
+        case 'init':
+            msg.inputPort.onmessage = onInput;
+            try {
+                const result = await gpu.init(msg.canvas);
+                self.postMessage({ type: 'ready', result });
+            } catch (err) {
+                self.postMessage({ type: 'error', message: err.message });
+            }
+            break;
+
+        case 'calls':
+            runCalls(msg.calls);
+            break;
+
+        case 'resize':
+            gpu.setCanvasSize(msg.width, msg.height);
+            break;
+
+        case 'readback':
+            await readback(msg.requestId, msg.textureId);
+            break;
+    }
+};
+
+// Returns why WebGPU can't run here, or null if it can. The proxy asks before it
+// transfers the canvas, which can't be taken back if init then fails.
+async function probe() {
+    if (!navigator.gpu) {
+        return "WebGPU not supported in workers";
+    }
+
+    try {
+        const adapter = await navigator.gpu.requestAdapter({ powerPreference: "high-performance" });
+        if (!adapter) {
+            return "Failed to get WebGPU adapter";
+        }
+
+        const device = await adapter.requestDevice();
+        device.destroy();
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+// Each call is [name, args, expectedId]; expectedId is set for calls that create
+// a resource, whose id the proxy already handed back to C#
+function runCalls(calls) {
+    for (const [name, args, expectedId] of calls) {
+        if (skippingFrame && FRAME_CALLS.has(name)) {
+            if (name === 'endFrame') {
+                skippingFrame = false;
+                acknowledgeFrame();
+            }
+            continue;
+        }
+
+        try {
+            const result = gpu[name](...args);
+            if (name === 'beginFrame' && !result) {
+                skippingFrame = true;
+            }
+            if (expectedId !== undefined && result !== expectedId) {
+                console.error(`[WebGPU Worker] ${name} returned id ${result}, proxy expected ${expectedId}`);
+            }
+        } catch (err) {
+            console.error(`[WebGPU Worker] ${name} threw:`, err);
+            if (name === 'beginFrame') {
+                skippingFrame = true;
+            }
+        }
+
+        if (name === 'endFrame') {
+            acknowledgeFrame();
+        }
+    }
+
+    if (!gpu.getDevice() && !deviceLostReported) {
+        deviceLostReported = true;
+        self.postMessage({ type: 'deviceLost' });
+    }
+}
+
+// Tell the proxy a frame is done once the GPU has finished it, so it can limit
+// how many frames C# queues ahead of the worker
+function acknowledgeFrame() {
+    const done = () => self.postMessage({ type: 'frameDone' });
+
+    const device = gpu.getDevice();
+    if (!device) {
+        done();
+        return;
+    }
+
+    device.queue.onSubmittedWorkDone().then(done, done);
+}
+
+function onInput(e) {
+    const event = e.data;
+
+    switch (event.type) {
+        case 'keydown':
+            input.keys.add(event.code);
+            break;
+        case 'keyup':
+            input.keys.delete(event.code);
+            break;
+        case 'mousedown':
+            input.buttons |= 1 << event.button;
+            break;
+        case 'mouseup':
+            input.buttons &= ~(1 << event.button);
+            break;
+        case 'mousemove':
+            input.mouseX = event.x;
+            input.mouseY = event.y;
+            break;
+        case 'touchstart':
+        case 'touchmove':
+            input.touches.set(event.id, { x: event.x, y: event.y });
+            break;
+        case 'touchend':
+        case 'touchcancel':
+            input.touches.delete(event.id);
+            break;
+    }
+}
+
+async function readback(requestId, textureId) {
+    try {
+        const length = await gpu.readRenderTexturePixels(textureId);
+        const pixels = new Uint8Array(length);
+        gpu.copyReadbackResult(textureId, pixels);
+        self.postMessage({ type: 'readback', requestId, pixels }, [pixels.buffer]);
+    } catch (err) {
+        self.postMessage({ type: 'readback', requestId, error: err.message });
+    }
+}
@@ -45,6 +45,8 @@ let nearestSampler = null;
 // Initialization
 // ============================================================================
 
+// canvasSelector may also be a canvas itself, e.g. the OffscreenCanvas that
+// noz-webgpu-worker.js receives when rendering off the main thread
 export async function init(canvasSelector) {
     if (!navigator.gpu) {
         throw new Error("WebGPU not supported in this browser");
@@ -71,7 +73,7 @@ export async function init(canvasSelector) {
 
     queue = device.queue;
 
-    canvas = document.querySelector(canvasSelector);
+    canvas = typeof canvasSelector === 'string' ? document.querySelector(canvasSelector) : canvasSelector;
     if (!canvas) {
         throw new Error(`Canvas not found: ${canvasSelector}`);
     }
@@ -137,6 +139,13 @@ export function getSurfaceSize() {
     return { width: surfaceWidth, height: surfaceHeight };
 }
 
+// Only needed for an OffscreenCanvas, which the page can no longer resize;
+// picked up by checkResize at the start of the next frame
+export function setCanvasSize(width, height) {
+    canvas.width = width;
+    canvas.height = height;
+}
+
 export function checkResize() {
     const newWidth = canvas.width;
     const newHeight = canvas.height;